@@ -0,0 +1,78 @@
+/**
+ * VorteX Amounts
+ * Exact conversion between display amounts ("1.5") and integer base units,
+ * using BigInt and each token's decimals
+ */
+class Amount {
+    /**
+     * Parse user input into base units, refusing precision the token can't hold
+     */
+    static parseUnits(text, decimals, symbol = 'this token') {
+        const value = String(text ?? '').trim().replace(/,/g, '');
+        if (!value) {
+            throw new Error('Enter an amount');
+        }
+        const match = /^(\d*)(?:\.(\d*))?$/.exec(value);
+        if (!match || (match[1] === '' && !match[2])) {
+            throw new Error(`"${text}" is not a valid amount`);
+        }
+
+        const whole = match[1] || '0';
+        const fraction = (match[2] || '').replace(/0+$/, '');
+        if (fraction.length > decimals) {
+            throw new Error(decimals === 0
+                ? `${symbol} cannot be split into fractions`
+                : `${symbol} supports at most ${decimals} decimal places`);
+        }
+
+        return BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+    }
+
+    /**
+     * Format base units for display, optionally trimming and grouping digits
+     */
+    static formatUnits(baseUnits, decimals, { maxFractionDigits = decimals, grouping = false } = {}) {
+        let value = Amount.toBigInt(baseUnits);
+        const negative = value < 0n;
+        if (negative) value = -value;
+
+        const scale = 10n ** BigInt(decimals);
+        let whole = (value / scale).toString();
+        let fraction = decimals > 0 ? (value % scale).toString().padStart(decimals, '0') : '';
+
+        fraction = fraction.slice(0, maxFractionDigits).replace(/0+$/, '');
+        if (grouping) {
+            whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+        }
+
+        return `${negative ? '-' : ''}${whole}${fraction ? '.' + fraction : ''}`;
+    }
+
+    /**
+     * Coerce a peer value (number, numeric string or bigint) to BigInt
+     */
+    static toBigInt(value) {
+        if (typeof value === 'bigint') return value;
+        if (value === null || value === undefined || value === '') return 0n;
+        if (typeof value === 'number') {
+            if (!Number.isSafeInteger(value)) {
+                throw new Error(`Amount ${value} cannot be represented exactly`);
+            }
+            return BigInt(value);
+        }
+        return BigInt(String(value));
+    }
+
+    /**
+     * Ratio of two base-unit amounts in display units, for prices
+     */
+    static ratio(numerator, numeratorDecimals, denominator, denominatorDecimals) {
+        const den = Amount.toBigInt(denominator);
+        if (den === 0n) return 0;
+        return (Number(Amount.toBigInt(numerator)) / Number(den))
+            * 10 ** (denominatorDecimals - numeratorDecimals);
+    }
+}
+
+// Export for use
+window.Amount = Amount;
@@ -3,28 +3,383 @@
  * JavaScript adaptation of official Convex client patterns
  * Based on convex-java/ConvexJSON.java structure
  */
+
+// Attempts per transaction, counting the first: a rejected sequence number and
+// errors raised before submit are retried here and nowhere else
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+// Wait before retrying after a peer error, multiplied by the attempt number
+const TRANSACTION_RETRY_DELAY_MS = 1000;
+
+// How long batched read results are reused, in milliseconds
+const READ_CACHE_MS = 2000;
+
+/**
+ * Signs prepared transaction hashes with a local Ed25519 key pair
+ */
+class Ed25519Signer {
+    constructor(keyPair) {
+        this.keyPair = keyPair;
+        this.publicKey = ConvexClient.bytesToHex(keyPair.publicKey);
+        this.destroyed = false;
+    }
+
+    /**
+     * Build a signer from a 32-byte hex seed
+     */
+    static fromSeed(seedHex) {
+        const seed = ConvexClient.hexToBytes(seedHex.trim());
+        if (seed.length !== 32) {
+            throw new Error(`Invalid seed length: ${seed.length} bytes (expected 32)`);
+        }
+        const keyPair = nacl.sign.keyPair.fromSeed(seed);
+        seed.fill(0);
+        return new Ed25519Signer(keyPair);
+    }
+
+    /**
+     * Sign a hex hash, returning the hex signature
+     */
+    async sign(hashHex) {
+        if (this.destroyed) {
+            throw new Error('Signer key has been wiped');
+        }
+        const signature = nacl.sign.detached(ConvexClient.hexToBytes(hashHex), this.keyPair.secretKey);
+        return ConvexClient.bytesToHex(signature);
+    }
+
+    /**
+     * Zero the secret key
+     */
+    destroy() {
+        this.keyPair.secretKey.fill(0);
+        this.destroyed = true;
+    }
+}
+
+/**
+ * Delegates signing to an external signer (hardware wallet, extension, etc.)
+ * The callback receives the hex hash and must resolve to a hex signature
+ */
+class CallbackSigner {
+    constructor(publicKey, signCallback) {
+        this.publicKey = publicKey.replace(/^0x/, '').toLowerCase();
+        this.signCallback = signCallback;
+    }
+
+    /**
+     * Ask the external signer for a signature
+     */
+    async sign(hashHex) {
+        const signature = await this.signCallback(hashHex);
+        if (typeof signature !== 'string' || !/^(0x)?[0-9a-fA-F]{128}$/.test(signature)) {
+            throw new Error('External signer returned an invalid signature');
+        }
+        return signature.replace(/^0x/, '').toLowerCase();
+    }
+}
+
+// Plain-language meaning and fix for Convex error codes (keys without the leading colon)
+const ERROR_EXPLANATIONS = {
+    FUNDS: {
+        explanation: 'Insufficient balance for this transaction',
+        fix: 'Check your balance, or try a smaller amount.'
+    },
+    JUICE: {
+        explanation: 'Insufficient CVX for juice (transaction fees)',
+        fix: 'Keep some CVX in the account to pay fees, then try again.'
+    },
+    SEQUENCE: {
+        explanation: 'The transaction was out of order with your account\'s previous transactions',
+        fix: 'Wait for pending transactions to finish, then try again.',
+        retryable: true
+    },
+    TRUST: {
+        explanation: 'This account is not allowed to perform that action',
+        fix: 'Check you are using the account that owns the asset, or approve it first.'
+    },
+    ARGUMENT: {
+        explanation: 'The transaction was given an invalid value',
+        fix: 'Check the amounts and addresses you entered.'
+    },
+    NOBODY: {
+        explanation: 'The account or contract does not exist on this network',
+        fix: 'Check the address and that you are on the right network.'
+    },
+    SIGNATURE: {
+        explanation: 'The signature did not match the account\'s key',
+        fix: 'Make sure the imported seed belongs to this account.'
+    },
+    CAST: {
+        explanation: 'A value had the wrong type for the operation',
+        fix: 'Check the amounts and addresses you entered.'
+    },
+    BOUNDS: {
+        explanation: 'A value was out of the allowed range',
+        fix: 'Try a smaller amount.'
+    },
+    UNDECLARED: {
+        explanation: 'The contract or library function was not found on this network',
+        fix: 'Check you are on the right network.'
+    },
+    SLIPPAGE: {
+        explanation: 'The price moved beyond your slippage tolerance, so nothing was exchanged',
+        fix: 'Try again, or raise your slippage tolerance.'
+    },
+    STATE: {
+        explanation: 'The contract refused the call in its current state',
+        fix: 'Refresh and check the current state before trying again.'
+    },
+    ASSERT: {
+        explanation: 'A contract check failed',
+        fix: 'Review the values you entered.'
+    },
+    CANCELLED: {
+        explanation: 'You cancelled the transaction, so nothing was signed or sent',
+        fix: 'Start it again when you are ready.'
+    },
+    LOCKED: {
+        explanation: 'The account was locked or removed before this transaction was signed, so nothing was sent',
+        fix: 'Unlock the wallet or import the account again, then start it again.'
+    },
+    MALFORMED: {
+        explanation: 'The Convex peer sent a response VorteX could not read',
+        fix: 'Try again, or choose another network.',
+        retryable: true
+    }
+};
+
+/**
+ * Base class for errors talking to Convex, with a plain-language explanation and fix
+ */
+class ConvexError extends Error {
+    constructor(message, { code = null, payload = null, explanation = message, fix = '', retryable = false } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.payload = payload;
+        this.explanation = explanation;
+        this.fix = fix;
+        // Only true when repeating the same call cannot apply anything twice
+        this.retryable = retryable;
+    }
+
+    /**
+     * Explanation and fix as one sentence pair for display
+     */
+    describe() {
+        return this.fix ? `${this.explanation}. ${this.fix}` : this.explanation;
+    }
+}
+
+/**
+ * The peer could not be reached
+ */
+class NetworkError extends ConvexError {
+    constructor(url, cause, { retryable = true } = {}) {
+        super(`Could not reach ${url}: ${cause.message}`, {
+            code: 'NETWORK',
+            payload: cause,
+            explanation: 'Could not reach the Convex peer',
+            fix: 'Check your connection or choose another network.',
+            retryable
+        });
+        this.url = url;
+    }
+}
+
+/**
+ * The peer did not answer within the client timeout
+ */
+class PeerTimeoutError extends NetworkError {
+    constructor(url, cause, timeoutMs, { retryable = true } = {}) {
+        super(url, cause, { retryable });
+        this.message = `No response from ${url} within ${timeoutMs / 1000}s`;
+        this.code = 'TIMEOUT';
+        this.explanation = 'The Convex peer took too long to respond';
+        this.fix = retryable
+            ? 'Try again in a moment.'
+            : 'Check your history and balances before retrying: it may still have gone through.';
+    }
+}
+
+/**
+ * The peer answered with a non-2xx HTTP status
+ */
+class HttpError extends ConvexError {
+    constructor(action, status, statusText, body = '') {
+        super(`${action} failed: ${status} ${statusText} ${body}`.trim(), {
+            code: `HTTP_${status}`,
+            payload: { status, statusText, body },
+            explanation: status >= 500 || status === 429
+                ? 'The Convex peer is having problems'
+                : 'The Convex peer rejected the request',
+            fix: status >= 500 || status === 429 ? 'Try again shortly.' : 'Check the request details.',
+            retryable: status >= 500 || status === 429
+        });
+        this.status = status;
+    }
+
+    /**
+     * Build from a fetch Response, reading its body for detail
+     */
+    static async fromResponse(action, response) {
+        let body = '';
+        try {
+            body = await response.text();
+        } catch (error) {
+            // Body unavailable; status is enough
+        }
+        return new HttpError(action, response.status, response.statusText, body);
+    }
+}
+
+/**
+ * The CVM returned an error code for a query or transaction
+ */
+class CvmError extends ConvexError {
+    constructor(result, action = 'Transaction') {
+        const code = String(result.errorCode).replace(/^:/, '').toUpperCase();
+        const known = ERROR_EXPLANATIONS[code] || {};
+        const detail = typeof result.value === 'string' ? result.value : JSON.stringify(result.value ?? code);
+        super(`${action} error ${code}: ${detail}`, {
+            code,
+            payload: result,
+            explanation: known.explanation || `Convex returned ${code}: ${detail}`,
+            fix: known.fix || '',
+            retryable: Boolean(known.retryable)
+        });
+        // Kept for callers that read the raw peer response
+        this.result = result;
+    }
+}
+
 class ConvexClient {
-    constructor(peerUrl = 'http://peer.convex.live:8080') {
-        this.peerUrl = peerUrl;
+    // Network profiles, each with peers in priority order
+    static NETWORKS = Object.freeze({
+        mainnet: { id: 'mainnet', name: 'Mainnet', peers: ['https://peer.convex.live', 'http://peer.convex.live:8080'] },
+        testnet: { id: 'testnet', name: 'Testnet', peers: ['https://testnet.convex.live', 'http://testnet.convex.live:8080'] },
+        local: { id: 'local', name: 'Local peer', peers: ['http://localhost:8080', 'http://127.0.0.1:8080'] }
+    });
+
+    static DEFAULT_NETWORK = 'mainnet';
+
+    /**
+     * Look up a network profile by id, falling back to mainnet
+     */
+    static network(id) {
+        return ConvexClient.NETWORKS[id] || ConvexClient.NETWORKS[ConvexClient.DEFAULT_NETWORK];
+    }
+
+    constructor(peers = ConvexClient.network().peers) {
+        // Callbacks told when the active peer changes (see onPeerChange)
+        this.peerListeners = new Set();
+        
+        // Batched reads: results by address and source, and reads waiting for this tick's query
+        this.readCache = new Map();
+        this.pendingReads = [];
+        
+        // Live balance and reserve reads, created on first use (see getSubscriptions)
+        this.subscriptions = null;
+        this.peers = [];
+        this.peerUrl = null;
+        this.setPeers(peers);
         this.address = null;
-        this.keyPair = null;
-        this.sequence = 0;
+        this.signer = null;
         this.isConnected = false;
         
+        // Optional approval step before a transaction is queued and before each hash is signed (see setReviewer)
+        this.reviewer = null;
+        
+        // Last on-chain sequence number per account, read via getAccountInfo when unknown
+        this.sequences = new Map();
+        
+        // Transactions run one at a time in submission order
+        this.queue = Promise.resolve();
+        this.inFlight = new Map();
+        this.nextTransactionId = 1;
+        this.retryDelayMs = TRANSACTION_RETRY_DELAY_MS;
+        
         // Connection timeout (like official client)
         this.timeout = 30000; // 30 seconds
+        
+        // Shorter limit for health probes so failover doesn't stall
+        this.healthTimeout = 5000;
+        
+        // Callbacks told about every submitted transaction (see onTransaction)
+        this.transactionListeners = new Set();
+    }
+
+    /**
+     * Replace the peer list (a URL or URLs in priority order); call initialize() to reconnect
+     */
+    setPeers(peers) {
+        const list = (Array.isArray(peers) ? peers : [peers])
+            .map(url => String(url).trim().replace(/\/+$/, ''))
+            .filter(Boolean);
+        if (list.length === 0) {
+            throw new Error('At least one peer URL is required');
+        }
+        this.peers = list;
+        this.isConnected = false;
+        this.readCache.clear();
+        this.setActivePeer(list[0]);
+    }
+
+    /**
+     * Switch requests to a peer and tell listeners
+     */
+    setActivePeer(url) {
+        if (url === this.peerUrl) return;
+        this.peerUrl = url;
+        this.peerListeners.forEach(listener => {
+            try {
+                listener(url);
+            } catch (error) {
+                console.error('Peer listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to active peer changes; returns an unsubscribe function
+     */
+    onPeerChange(listener) {
+        this.peerListeners.add(listener);
+        return () => this.peerListeners.delete(listener);
+    }
+
+    /**
+     * Subscribe to transaction outcomes; returns an unsubscribe function
+     */
+    onTransaction(listener) {
+        this.transactionListeners.add(listener);
+        return () => this.transactionListeners.delete(listener);
+    }
+
+    /**
+     * Tell listeners about a transaction outcome (a failing listener never breaks the transaction)
+     */
+    notifyTransaction(event) {
+        this.transactionListeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Transaction listener failed:', error);
+            }
+        });
     }
 
     /**
      * Connect to Convex network (similar to official connect method)
      */
-    static async connect(peerServerURL, address = null, keyPair = null) {
-        const client = new ConvexClient(peerServerURL);
+    static async connect(peers, address = null, signer = null) {
+        const client = new ConvexClient(peers);
         await client.initialize();
         
-        if (address && keyPair) {
+        if (address && signer) {
             client.setAddress(address);
-            client.setKeyPair(keyPair);
+            client.setSigner(signer);
         } else {
             await client.createDemoAccount();
         }
@@ -33,73 +388,233 @@ class ConvexClient {
     }
 
     /**
-     * Initialize connection (test peer availability)
+     * Initialize connection: use the first healthy peer in priority order
      */
     async initialize() {
+        console.log('🔄 Initializing Convex connection...');
+        for (const url of this.peers) {
+            if (await this.checkPeer(url)) {
+                this.setActivePeer(url);
+                this.isConnected = true;
+                console.log('✅ Convex peer connection established:', url);
+                return true;
+            }
+        }
+        
+        const error = new Error(`No Convex peer reachable (tried ${this.peers.join(', ')})`);
+        console.error('❌ Failed to initialize Convex connection:', error);
+        throw error;
+    }
+
+    /**
+     * Health probe: a trivial query the peer must answer correctly within healthTimeout
+     */
+    async checkPeer(url) {
         try {
-            console.log('🔄 Initializing Convex connection...');
-            
             // Test connection with simple query (like official client status check)
-            const testResult = await this.query('(+ 2 2 2 1)', '#12');
-            if (testResult.value !== 7) {
-                throw new Error('Peer connection test failed');
+            const response = await fetch(`${url}/api/v1/query`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ address: '#12', source: '(+ 2 2 2 1)' }),
+                signal: AbortSignal.timeout(this.healthTimeout)
+            });
+            if (!response.ok) return false;
+            const result = await response.json();
+            return result.value === 7;
+        } catch (error) {
+            console.warn(`⚠️ Peer ${url} failed health check:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Move to the next healthy peer after the current one stops responding
+     */
+    async failover() {
+        const start = this.peers.indexOf(this.peerUrl);
+        const candidates = [...this.peers.slice(start + 1), ...this.peers.slice(0, Math.max(start, 0))];
+        for (const url of candidates) {
+            if (await this.checkPeer(url)) {
+                console.warn(`🔀 Failing over from ${this.peerUrl} to ${url}`);
+                this.setActivePeer(url);
+                return url;
+            }
+        }
+        throw new NetworkError(this.peerUrl, new Error('No other peer in this network answered its health check'));
+    }
+
+    /**
+     * Whether a fetch error means the peer didn't answer (timeout or network failure)
+     */
+    static isUnreachable(error) {
+        return error.name === 'TimeoutError' || error.name === 'AbortError' || error instanceof TypeError;
+    }
+
+    /**
+     * Call a peer endpoint (POST when a body is given) with the request timeout
+     * Safe-to-repeat calls fail over to the next peer once when this one doesn't answer
+     */
+    async request(path, body = undefined, { failover = true } = {}) {
+        const send = () => fetch(`${this.peerUrl}${path}`, body === undefined
+            ? { signal: AbortSignal.timeout(this.timeout) }
+            : {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(this.timeout)
+            });
+        
+        try {
+            try {
+                return await send();
+            } catch (error) {
+                if (!failover || this.peers.length < 2 || !ConvexClient.isUnreachable(error)) throw error;
+                await this.failover();
+                return await send();
             }
-            
-            this.isConnected = true;
-            console.log('✅ Convex peer connection established');
-            return true;
         } catch (error) {
-            console.error('❌ Failed to initialize Convex connection:', error);
-            throw error;
+            throw this.networkError(error, failover);
         }
     }
 
+    /**
+     * Wrap a fetch failure in a typed error (already typed errors pass through)
+     */
+    networkError(error, retryable = true) {
+        if (error instanceof ConvexError) return error;
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+            return new PeerTimeoutError(this.peerUrl, error, this.timeout, { retryable });
+        }
+        return new NetworkError(this.peerUrl, error, { retryable });
+    }
+
+    /**
+     * Convert a hex string (with or without 0x) to bytes
+     */
+    static hexToBytes(hex) {
+        hex = hex.replace(/^0x/, '');
+        if (hex.length % 2 !== 0 || /[^0-9a-fA-F]/.test(hex)) {
+            throw new Error('Invalid hex string');
+        }
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < hex.length; i += 2) {
+            bytes[i / 2] = parseInt(hex.substr(i, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Convert bytes to a lowercase hex string
+     */
+    static bytesToHex(bytes) {
+        return Array.from(bytes)
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
     /**
      * Set address for this connection (like official client)
      */
     setAddress(address) {
-        this.address = address;
-        this.sequence = 0; // Reset sequence for new address
+        // Peers return new accounts' addresses as bare numbers
+        this.address = address === null || address === undefined ? null : ConvexClient.formatAddress(address);
+    }
+
+    /**
+     * Set the signer used for transactions
+     * Any object with a hex `publicKey` and an async `sign(hashHex)` works
+     */
+    setSigner(signer) {
+        this.signer = signer;
+    }
+
+    /**
+     * Ask a callback to approve every transaction, resolving true to go ahead or false to
+     * cancel; null turns review off. It receives the transaction event (source and intent)
+     * with a dry-run simulation twice: first with no hash, before the transaction is queued,
+     * so no sequence number is held and other transactions carry on while it waits; then
+     * with the prepared hash and sequence, before that hash is signed. A re-prepared
+     * transaction (after a SEQUENCE rejection) has a new hash and is confirmed again.
+     */
+    setReviewer(reviewer) {
+        this.reviewer = reviewer;
     }
 
     /**
-     * Set key pair for this connection (like official client)
+     * Set Ed25519 key pair for this connection (like official client)
+     * The secret key never leaves the client: it only signs prepared hashes
      */
     setKeyPair(keyPair) {
-        this.keyPair = keyPair;
+        this.setSigner(keyPair ? new Ed25519Signer(keyPair) : null);
     }
 
     /**
      * Create demo account for testing
+     * A fresh key pair is generated locally and only the public key is sent
      */
     async createDemoAccount() {
+        const keyPair = nacl.sign.keyPair();
         try {
             // Try official account creation endpoint
-            const response = await fetch(`${this.peerUrl}/api/v1/createAccount`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    accountKey: "d82e78594610f708ad47f666bbacbab1711760652cb88bf7515ed6c3ae84a08d"
-                })
-            });
+            const response = await this.request('/api/v1/createAccount', {
+                accountKey: ConvexClient.bytesToHex(keyPair.publicKey)
+            }, { failover: false });
             
             if (response.ok) {
                 const accountData = await response.json();
                 this.setAddress(accountData.address);
-                this.setKeyPair("d82e78594610f708ad47f666bbacbab1711760652cb88bf7515ed6c3ae84a08d");
+                this.setKeyPair(keyPair);
                 
                 console.log('✅ Created new account:', accountData);
                 await this.requestFaucetCoins();
                 return accountData;
             }
         } catch (error) {
-            console.log('Account creation not available, using demo fallback');
+            console.log('Account creation not available, using read-only demo');
         }
         
-        // Fallback to demo address
+        // Fallback to read-only demo address (no key, so no transactions)
+        keyPair.secretKey.fill(0);
         this.setAddress("#12");
-        this.setKeyPair("demo");
-        console.log('📱 Using demo account:', this.address);
+        this.setKeyPair(null);
+        console.log('📱 Using read-only demo account:', this.address);
+    }
+
+    /**
+     * Find the account controlled by a public key
+     * Checks the candidate address if given, otherwise scans back from the newest account
+     */
+    async findAccountByPublicKey(publicKey, candidateAddress = null, maxScan = 5000) {
+        const key = publicKey.replace(/^0x/, '').toLowerCase();
+        if (!/^[0-9a-f]{64}$/.test(key)) {
+            throw new Error('Invalid Ed25519 public key');
+        }
+
+        if (candidateAddress) {
+            const result = await this.query(Cvm.source`(:key (account ${Cvm.address(candidateAddress)}))`, candidateAddress);
+            const accountKey = typeof result.value === 'string'
+                ? result.value.replace(/^0x/, '').toLowerCase()
+                : null;
+            return accountKey === key ? candidateAddress : null;
+        }
+
+        const source = Cvm.source`(let [k ${Cvm.blob(key)}
+                              n (count (:accounts *state*))
+                              stop (max 0 (- n ${Cvm.integer(maxScan)}))]
+            (loop [i (dec n)]
+              (cond (< i stop) nil
+                    (= k (:key (account (address i)))) (address i)
+                    (recur (dec i)))))`;
+        const result = await this.query(source, '#12');
+        return result.value ? ConvexClient.formatAddress(result.value) : null;
+    }
+
+    /**
+     * Normalise an address returned by the peer to #NNN form
+     */
+    static formatAddress(value) {
+        const text = String(value);
+        return text.startsWith('#') ? text : `#${text}`;
     }
 
     /**
@@ -107,14 +622,10 @@ class ConvexClient {
      */
     async requestFaucetCoins() {
         try {
-            const response = await fetch(`${this.peerUrl}/api/v1/faucet`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    address: this.address,
-                    amount: "10000000"
-                })
-            });
+            const response = await this.request('/api/v1/faucet', {
+                address: this.address,
+                amount: "10000000"
+            }, { failover: false });
             
             if (response.ok) {
                 const data = await response.json();
@@ -125,29 +636,46 @@ class ConvexClient {
         }
     }
 
+    /**
+     * Parse a peer's JSON body, which must be an object; anything else is a MALFORMED error
+     */
+    static async readJson(response, action) {
+        let body;
+        try {
+            body = await response.json();
+        } catch (error) {
+            body = error;
+        }
+        if (body === null || typeof body !== 'object' || Array.isArray(body) || body instanceof Error) {
+            const detail = body instanceof Error ? body.message : JSON.stringify(body);
+            throw new ConvexError(`${action} returned a malformed response: ${detail}`, {
+                code: 'MALFORMED',
+                payload: body,
+                ...ERROR_EXPLANATIONS.MALFORMED
+            });
+        }
+        return body;
+    }
+
     /**
      * Query Convex network (read-only, like official client)
+     * Source must be built with Cvm.source; raw strings are refused
      */
     async query(source, address = this.address) {
         try {
-            const response = await fetch(`${this.peerUrl}/api/v1/query`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    address: address,
-                    source: source
-                }),
-                signal: AbortSignal.timeout(this.timeout)
+            const response = await this.request('/api/v1/query', {
+                address: address,
+                source: Cvm.text(source)
             });
 
             if (!response.ok) {
-                throw new Error(`Query failed: ${response.status} ${response.statusText}`);
+                throw await HttpError.fromResponse('Query', response);
             }
 
-            const result = await response.json();
+            const result = await ConvexClient.readJson(response, 'Query');
             
             if (result.errorCode) {
-                throw new Error(`Convex error: ${result.value || result.errorCode}`);
+                throw new CvmError(result, 'Query');
             }
 
             return result;
@@ -157,10 +685,143 @@ class ConvexClient {
         }
     }
 
+    /**
+     * Read several expressions, resolving to their values in the same shape: an array
+     * of expressions gives an array, an object of named expressions gives an object.
+     * Reads requested in the same tick go to the peer as one (do ...) query; results
+     * newer than maxAge ms are reused and identical reads in flight are shared.
+     * Expressions may use the torus (torus.exchange) and fun (convex.fungible) aliases.
+     */
+    async read(expressions, { maxAge = READ_CACHE_MS } = {}) {
+        if (!Array.isArray(expressions)) {
+            const names = Object.keys(expressions);
+            const values = await this.read(names.map(name => expressions[name]), { maxAge });
+            return Object.fromEntries(names.map((name, index) => [name, values[index]]));
+        }
+
+        const now = Date.now();
+        return Promise.all(expressions.map(expression => {
+            if (!(expression instanceof CvmValue)) {
+                throw new Error('ConvexClient.read only accepts checked source (see Cvm.source)');
+            }
+            const key = `${this.address || ''} ${expression}`;
+            const cached = this.readCache.get(key);
+            // A null time means the read is still in flight
+            if (cached && (cached.time === null || now - cached.time <= maxAge)) return cached.promise;
+
+            const entry = { time: null, promise: null };
+            entry.promise = new Promise((resolve, reject) => {
+                this.pendingReads.push({ key, expression, entry, resolve, reject });
+            });
+            this.readCache.set(key, entry);
+            if (this.pendingReads.length === 1) queueMicrotask(() => this.flushReads());
+            return entry.promise;
+        }));
+    }
+
+    /**
+     * Send every waiting read as one query and settle each with its value
+     */
+    async flushReads() {
+        const reads = this.pendingReads;
+        this.pendingReads = [];
+        if (reads.length === 0) return;
+
+        try {
+            const result = await this.query(Cvm.source`(do (import torus.exchange :as torus) (import convex.fungible :as fun)
+                [${Cvm.join(reads.map(read => read.expression))}])`);
+            const values = result.value || [];
+            const time = Date.now();
+            reads.forEach((read, index) => {
+                read.entry.time = time;
+                read.resolve(values[index] ?? null);
+            });
+        } catch (error) {
+            // One failing expression fails the whole query, so nothing from it is cached
+            reads.forEach(read => {
+                if (this.readCache.get(read.key) === read.entry) this.readCache.delete(read.key);
+                read.reject(error);
+            });
+        }
+    }
+
+    /**
+     * Dry-run transaction source as a query from an account. Resolves to the predicted
+     * result, the change in CVX and in each token the intent names, and the juice and
+     * fee (slightly over, as the balance reads are counted too); a predicted failure
+     * is returned as {ok: false, error} rather than thrown.
+     */
+    async simulate(source, intent = null, address = this.address) {
+        const tokens = [null];
+        ['tokenIn', 'tokenOut', 'token'].forEach(field => {
+            const token = intent ? intent[field] : undefined;
+            if (token && !tokens.includes(token)) tokens.push(token);
+        });
+        const balances = Cvm.vector(tokens.map(token => token
+            ? Cvm.source`(str (fun/balance ${Cvm.address(token)} *address*))`
+            : Cvm.source`(str (balance *address*))`));
+
+        let result;
+        try {
+            result = await this.query(Cvm.source`(do (import convex.fungible :as fun)
+                (let [before ${balances} result ${source} after ${balances}]
+                  [result before after (str *juice-price*)]))`, address);
+        } catch (error) {
+            if (!(error instanceof CvmError)) throw error;
+            return { ok: false, error, juice: error.result?.info?.juice ?? null, fee: null };
+        }
+
+        // [result before after juice-price], with one balance per token before and after
+        const shaped = Array.isArray(result.value) && result.value.length === 4
+            && [result.value[1], result.value[2]].every(list => Array.isArray(list) && list.length === tokens.length);
+        try {
+            if (!shaped) throw new Error('not the queried vector');
+            const [value, before, after, juicePrice] = result.value;
+            const juice = result.info?.juice ?? null;
+            return {
+                ok: true,
+                value,
+                changes: tokens.map((token, index) => ({
+                    token,
+                    before: Amount.toBigInt(before[index]),
+                    after: Amount.toBigInt(after[index]),
+                    change: Amount.toBigInt(after[index]) - Amount.toBigInt(before[index])
+                })),
+                juice,
+                juicePrice: Amount.toBigInt(juicePrice),
+                fee: juice === null ? null : BigInt(juice) * Amount.toBigInt(juicePrice)
+            };
+        } catch (error) {
+            throw new ConvexError(`Simulation returned an unexpected value (${error.message}): ${JSON.stringify(result.value)}`, {
+                code: 'MALFORMED',
+                payload: result,
+                ...ERROR_EXPLANATIONS.MALFORMED
+            });
+        }
+    }
+
+    /**
+     * Live reads of balances and market reserves, polled while anything is subscribed
+     */
+    getSubscriptions() {
+        if (!this.subscriptions) this.subscriptions = new Subscriptions(this);
+        return this.subscriptions;
+    }
+
+    /**
+     * Forget cached reads, e.g. after a transaction changed balances
+     */
+    clearReads() {
+        this.readCache.clear();
+    }
+
     /**
      * Execute transaction (like official client transact method)
+     * Queued behind earlier transactions, then prepared, signed locally and submitted
+     * Source must be built with Cvm.source so every interpolated value is checked
+     * The optional intent ({type, tokenIn, amountIn, tokenOut, ...}) is passed to listeners as-is
      */
-    async transact(source) {
+    async transact(source, intent = null) {
         if (!this.isConnected) {
             throw new Error('Not connected to Convex network');
         }
@@ -169,39 +830,228 @@ class ConvexClient {
             throw new Error('No address set for transaction');
         }
 
+        if (!this.signer) {
+            throw new Error('No signer set for transaction');
+        }
+
+        // Account and signer are fixed now, even if the user switches before it runs
+        const entry = {
+            id: this.nextTransactionId++,
+            status: this.reviewer ? 'reviewing' : 'queued',
+            address: this.address,
+            signer: this.signer,
+            source: Cvm.text(source),
+            intent,
+            hash: null,
+            sequence: null,
+            simulation: null
+        };
+        this.inFlight.set(entry.id, entry);
+        this.notifyTransaction(ConvexClient.transactionEvent(entry));
+
+        if (this.reviewer) {
+            try {
+                await this.review(entry);
+            } catch (error) {
+                entry.status = 'failed';
+                this.inFlight.delete(entry.id);
+                this.notifyTransaction({ ...ConvexClient.transactionEvent(entry), error });
+                throw error;
+            }
+            entry.status = 'queued';
+            this.notifyTransaction(ConvexClient.transactionEvent(entry));
+        }
+
+        const run = this.queue.then(() => this.runTransaction(entry));
+        this.queue = run.catch(() => {});
+        return await run;
+    }
+
+    /**
+     * Dry-run a transaction and ask the reviewer about it, before it is queued (no hash yet)
+     */
+    async review(entry) {
+        entry.simulation = await this.simulate(new CvmValue(entry.source), entry.intent, entry.address);
+        await this.approve(entry);
+    }
+
+    /**
+     * Ask the reviewer about a transaction as it stands, cancelling it unless approved
+     */
+    async approve(entry) {
+        const approved = await this.reviewer({ ...ConvexClient.transactionEvent(entry), simulation: entry.simulation });
+        if (!approved) {
+            throw new ConvexError('Transaction cancelled', { code: 'CANCELLED', ...ERROR_EXPLANATIONS.CANCELLED });
+        }
+    }
+
+    /**
+     * Submit a queued transaction, retrying with a fresh sequence on SEQUENCE errors and
+     * after peer errors raised before submit (a failed submit is never retryable).
+     * Listeners see each retry as a 'retrying' event with the attempt and the error.
+     */
+    async runTransaction(entry) {
+        entry.status = 'pending';
+        entry.attempt = 1;
+        this.notifyTransaction(ConvexClient.transactionEvent(entry));
+
         try {
-            console.log('📤 Executing transaction:', source);
-            
-            const response = await fetch(`${this.peerUrl}/api/v1/transact`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    address: this.address,
-                    source: source,
-                    seed: this.keyPair
-                }),
-                signal: AbortSignal.timeout(this.timeout)
-            });
+            for (;;) {
+                try {
+                    return await this.submitTransaction(entry);
+                } catch (error) {
+                    const sequence = error.code === 'SEQUENCE';
+                    if ((!sequence && !error.retryable) || entry.attempt >= MAX_TRANSACTION_ATTEMPTS) throw error;
+                    console.warn(sequence
+                        ? `🔁 Sequence ${entry.sequence} rejected for ${entry.address}, resyncing`
+                        : `🔁 ${error.message}; retrying (${entry.attempt}/${MAX_TRANSACTION_ATTEMPTS - 1})`);
 
-            if (!response.ok) {
-                throw new Error(`Transaction failed: ${response.status} ${response.statusText}`);
+                    entry.status = 'retrying';
+                    this.notifyTransaction({ ...ConvexClient.transactionEvent(entry), error });
+                    if (!sequence) await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * entry.attempt));
+                    entry.attempt++;
+                    entry.status = 'pending';
+                }
             }
+        } catch (error) {
+            console.error('❌ Transaction failed:', error.message);
+            entry.status = 'failed';
+            this.inFlight.delete(entry.id);
+            this.notifyTransaction({ ...ConvexClient.transactionEvent(entry), error });
+            throw error;
+        } finally {
+            // Balances and reserves read before this transaction may no longer hold
+            this.clearReads();
+            if (this.subscriptions) this.subscriptions.refresh();
+        }
+    }
 
-            const result = await response.json();
-            
-            if (result.errorCode) {
-                throw new Error(`Transaction error: ${result.value || result.errorCode}`);
+    /**
+     * One prepare/sign/submit round trip at the account's next sequence number
+     */
+    async submitTransaction(entry) {
+        if (!this.sequences.has(entry.address)) {
+            await this.syncSequence(entry.address);
+        }
+        entry.sequence = this.sequences.get(entry.address) + 1;
+        entry.hash = null;
+        ConvexClient.checkSigner(entry);
+
+        console.log(`📤 Preparing transaction #${entry.sequence}:`, entry.source);
+        const prepareResponse = await this.request('/api/v1/transaction/prepare', {
+            address: entry.address,
+            source: entry.source,
+            sequence: entry.sequence
+        });
+
+        if (!prepareResponse.ok) {
+            throw await HttpError.fromResponse('Prepare', prepareResponse);
+        }
+
+        const prepared = await ConvexClient.readJson(prepareResponse, 'Prepare');
+        if (typeof prepared.hash !== 'string' || !/^(0x)?[0-9a-fA-F]{64}$/.test(prepared.hash)) {
+            throw new ConvexError(`Prepare returned no transaction hash: ${JSON.stringify(prepared)}`, {
+                code: 'MALFORMED',
+                payload: prepared,
+                ...ERROR_EXPLANATIONS.MALFORMED
+            });
+        }
+        entry.hash = prepared.hash;
+
+        // The reviewer sees each prepared hash before it is signed
+        if (this.reviewer && entry.simulation) {
+            entry.status = 'reviewing';
+            this.notifyTransaction(ConvexClient.transactionEvent(entry));
+            await this.approve(entry);
+            entry.status = 'pending';
+            this.notifyTransaction(ConvexClient.transactionEvent(entry));
+        }
+
+        // Sign the hash locally - only the signature and public key are sent
+        ConvexClient.checkSigner(entry);
+        const signature = await entry.signer.sign(prepared.hash);
+
+        let result;
+        try {
+            // Never resubmitted elsewhere: a timed-out submit may still have been applied
+            const response = await this.request('/api/v1/transaction/submit', {
+                address: entry.address,
+                accountKey: entry.signer.publicKey,
+                hash: prepared.hash,
+                sig: signature
+            }, { failover: false });
+
+            if (!response.ok) {
+                throw await HttpError.fromResponse('Transaction', response);
             }
 
-            this.sequence++; // Increment sequence like official client
-            console.log('✅ Transaction completed:', result);
-            console.log('⛽ Gas used:', result.info?.juice);
-            
-            return result;
+            result = await ConvexClient.readJson(response, 'Transaction');
         } catch (error) {
-            console.error('❌ Transaction failed:', error.message);
+            // Whether the sequence was used is unknown, so read it again next time
+            this.sequences.delete(entry.address);
+            // A lost submit may still have been applied, so it is never safe to repeat blindly
+            if (error instanceof ConvexError) error.retryable = false;
             throw error;
         }
+        
+        if (result.errorCode) {
+            // Failed transactions can still use their sequence number; read it again next time
+            this.sequences.delete(entry.address);
+            throw new CvmError(result);
+        }
+
+        this.sequences.set(entry.address, entry.sequence);
+        console.log('✅ Transaction completed:', result);
+        console.log('⛽ Gas used:', result.info?.juice);
+        
+        entry.status = 'confirmed';
+        this.inFlight.delete(entry.id);
+        this.notifyTransaction({ ...ConvexClient.transactionEvent(entry), result });
+        return result;
+    }
+
+    /**
+     * Read an account's current sequence number from the peer
+     */
+    async syncSequence(address = this.address) {
+        const info = await this.getAccountInfo(address);
+        if (!info || !Number.isInteger(info.sequence)) {
+            throw new ConvexError(`Could not read the sequence number of ${address}`, {
+                code: 'SEQUENCE',
+                explanation: 'Could not read your account\'s transaction count from the peer',
+                fix: 'Try again in a moment.',
+                retryable: true
+            });
+        }
+        this.sequences.set(address, info.sequence);
+        return info.sequence;
+    }
+
+    /**
+     * Refuse a queued transaction whose signer was wiped by a lock or account removal
+     */
+    static checkSigner(entry) {
+        if (entry.signer.destroyed) {
+            throw new ConvexError('Account key was wiped before signing', {
+                code: 'LOCKED',
+                ...ERROR_EXPLANATIONS.LOCKED
+            });
+        }
+    }
+
+    /**
+     * Listener view of a queued transaction (the signer stays private; only reviews carry the simulation)
+     */
+    static transactionEvent(entry) {
+        const { signer, simulation, ...event } = entry;
+        return event;
+    }
+
+    /**
+     * Transactions queued or being submitted, oldest first
+     */
+    pendingTransactions() {
+        return [...this.inFlight.values()].map(entry => ConvexClient.transactionEvent(entry));
     }
 
     /**
@@ -209,11 +1059,12 @@ class ConvexClient {
      */
     async getBalance(address = this.address) {
         try {
-            const result = await this.query(`(balance ${address})`);
-            return result.value || 0;
+            // Read as a string so large balances survive JSON exactly
+            const [balance] = await this.read([Cvm.source`(str (balance ${Cvm.address(address)}))`]);
+            return BigInt(balance || 0);
         } catch (error) {
             console.error('Failed to get balance:', error.message);
-            return 0;
+            return 0n;
         }
     }
 
@@ -222,7 +1073,7 @@ class ConvexClient {
      */
     async getAccountInfo(address = this.address) {
         try {
-            const response = await fetch(`${this.peerUrl}/api/v1/accounts/${address.replace('#', '')}`);
+            const response = await this.request(`/api/v1/accounts/${address.replace('#', '')}`);
             if (response.ok) {
                 return await response.json();
             }
@@ -233,20 +1084,209 @@ class ConvexClient {
     }
 
     /**
-     * Torus DEX helper methods
+     * Wrap a checked expression with the torus.exchange import
      */
-    async buyTokens(tokenAddress, amount) {
-        const source = `(do (import exchange.torus :as torus) (torus/buy-tokens ${tokenAddress} ${amount}))`;
-        return await this.transact(source);
+    static torusSource(body) {
+        return Cvm.source`(do (import torus.exchange :as torus) ${body})`;
     }
 
-    async sellTokens(tokenAddress, amount) {
-        const source = `(do (import exchange.torus :as torus) (torus/sell-tokens ${tokenAddress} ${amount}))`;
-        return await this.transact(source);
+    /**
+     * Make an expression fail with :SLIPPAGE when the input it reports spending exceeds a maximum
+     */
+    static withMaximum(expression, maximumInput) {
+        if (maximumInput === null || maximumInput === undefined) return expression;
+        return Cvm.source`(let [paid ${expression}]
+            (if (> paid ${Cvm.amount(maximumInput)}) (fail :SLIPPAGE "Swap input above maximum") paid))`;
+    }
+
+    /**
+     * Make an expression fail with :SLIPPAGE when it returns less than a minimum,
+     * which rolls the whole transaction back on-chain
+     */
+    static withMinimum(expression, minimumOutput) {
+        if (minimumOutput === null || minimumOutput === undefined) return expression;
+        return Cvm.source`(let [out ${expression}]
+            (if (< out ${Cvm.amount(minimumOutput)}) (fail :SLIPPAGE "Swap output below minimum") out))`;
+    }
+
+    /**
+     * Torus DEX helper methods (torus.exchange library)
+     * Buy an exact amount of tokens with CVX
+     */
+    async buyTokens(tokenAddress, amount, maximumInput = null) {
+        const expression = ConvexClient.withMaximum(
+            Cvm.source`(torus/buy-tokens ${Cvm.address(tokenAddress)} ${Cvm.amount(amount)})`, maximumInput
+        );
+        return await this.transact(ConvexClient.torusSource(expression),
+            { type: 'swap', tokenIn: null, tokenOut: tokenAddress, amountOut: amount, maximumInput });
+    }
+
+    /**
+     * Buy an exact amount of CVX with tokens
+     */
+    async buyCvx(tokenAddress, amount, maximumInput = null) {
+        const expression = ConvexClient.withMaximum(
+            Cvm.source`(torus/buy-cvx ${Cvm.address(tokenAddress)} ${Cvm.amount(amount)})`, maximumInput
+        );
+        return await this.transact(ConvexClient.torusSource(expression),
+            { type: 'swap', tokenIn: tokenAddress, tokenOut: null, amountOut: amount, maximumInput });
+    }
+
+    /**
+     * Buy an exact amount of one token, paying with another (routed through CVX by Torus)
+     */
+    async buy(toToken, amount, fromToken, maximumInput = null) {
+        const expression = ConvexClient.withMaximum(
+            Cvm.source`(torus/buy ${Cvm.address(toToken)} ${Cvm.amount(amount)} ${Cvm.address(fromToken)})`, maximumInput
+        );
+        return await this.transact(ConvexClient.torusSource(expression),
+            { type: 'swap', tokenIn: fromToken, tokenOut: toToken, amountOut: amount, maximumInput });
+    }
+
+    /**
+     * Source for an exact-output swap, as submitted by swapExactOutput (for simulation)
+     */
+    static exactOutputSource(fromToken, toToken, amountOut, maximumInput = null) {
+        const amount = Cvm.amount(amountOut);
+        let expression;
+        if (!fromToken) expression = Cvm.source`(torus/buy-tokens ${Cvm.address(toToken)} ${amount})`;
+        else if (!toToken) expression = Cvm.source`(torus/buy-cvx ${Cvm.address(fromToken)} ${amount})`;
+        else expression = Cvm.source`(torus/buy ${Cvm.address(toToken)} ${amount} ${Cvm.address(fromToken)})`;
+        return ConvexClient.torusSource(ConvexClient.withMaximum(expression, maximumInput));
     }
 
+    /**
+     * Swap for an exact output, where a null address stands for CVX; resolves to the input paid
+     * details are added to the intent, e.g. {order} when a limit order executes
+     */
+    async swapExactOutput(fromToken, toToken, amountOut, maximumInput = null, details = {}) {
+        return await this.transact(ConvexClient.exactOutputSource(fromToken, toToken, amountOut, maximumInput),
+            { type: 'swap', tokenIn: fromToken, tokenOut: toToken, amountOut, maximumInput, ...details });
+    }
+
+    /**
+     * Sell an exact amount of tokens for CVX
+     */
+    async sellTokens(tokenAddress, amount, minimumOutput = null) {
+        const expression = ConvexClient.withMinimum(
+            Cvm.source`(torus/sell-tokens ${Cvm.address(tokenAddress)} ${Cvm.amount(amount)})`, minimumOutput
+        );
+        return await this.transact(ConvexClient.torusSource(expression),
+            { type: 'swap', tokenIn: tokenAddress, tokenOut: null, amountIn: amount, minimumOutput });
+    }
+
+    /**
+     * Sell an exact amount of CVX for tokens
+     */
+    async sellCvx(tokenAddress, amount, minimumOutput = null) {
+        const expression = ConvexClient.withMinimum(
+            Cvm.source`(torus/sell-cvx ${Cvm.address(tokenAddress)} ${Cvm.amount(amount)})`, minimumOutput
+        );
+        return await this.transact(ConvexClient.torusSource(expression),
+            { type: 'swap', tokenIn: null, tokenOut: tokenAddress, amountIn: amount, minimumOutput });
+    }
+
+    /**
+     * Sell an exact amount of one token for another (routed through CVX by Torus)
+     */
+    async sell(fromToken, amount, toToken, minimumOutput = null) {
+        const expression = ConvexClient.withMinimum(
+            Cvm.source`(torus/sell ${Cvm.address(fromToken)} ${Cvm.amount(amount)} ${Cvm.address(toToken)})`, minimumOutput
+        );
+        return await this.transact(ConvexClient.torusSource(expression),
+            { type: 'swap', tokenIn: fromToken, tokenOut: toToken, amountIn: amount, minimumOutput });
+    }
+
+    /**
+     * Swap an exact input, where a null address stands for CVX
+     */
+    async swapExactInput(fromToken, amount, toToken, minimumOutput = null) {
+        if (!fromToken) return await this.sellCvx(toToken, amount, minimumOutput);
+        if (!toToken) return await this.sellTokens(fromToken, amount, minimumOutput);
+        return await this.sell(fromToken, amount, toToken, minimumOutput);
+    }
+
+    /**
+     * Expression selling along a route of Torus hops, returning its output
+     * The route is {amountIn, hops: [{tokenIn, tokenOut}]}, with null standing for CVX;
+     * every Torus market pairs a token with CVX, so each hop either sells or buys CVX
+     */
+    static routeExpression(route) {
+        const bindings = [];
+        let input = Cvm.amount(route.amountIn);
+        route.hops.forEach((hop, h) => {
+            const name = Cvm.symbol(`out-${h}`);
+            const call = hop.tokenIn
+                ? Cvm.source`(torus/sell-tokens ${Cvm.address(hop.tokenIn)} ${input})`
+                : Cvm.source`(torus/sell-cvx ${Cvm.address(hop.tokenOut)} ${input})`;
+            bindings.push(Cvm.source`${name} ${call}`);
+            input = name;
+        });
+        return Cvm.source`(let [${Cvm.join(bindings)}] ${input})`;
+    }
+
+    /**
+     * Execute a router plan atomically: every hop in one transaction, bounded by a minimum output
+     * details are added to the intent, e.g. {order} when a limit order executes
+     */
+    async swapRoute(route, minimumOutput = null, details = {}) {
+        const { hops } = route;
+        return await this.transact(ConvexClient.routeSource(route, minimumOutput), {
+            type: 'swap',
+            tokenIn: hops[0].tokenIn,
+            tokenOut: hops[hops.length - 1].tokenOut,
+            amountIn: BigInt(route.amountIn),
+            minimumOutput,
+            path: [hops[0].tokenIn, ...hops.map(hop => hop.tokenOut)],
+            markets: hops.map(hop => hop.market || null),
+            ...details
+        });
+    }
+
+    /**
+     * Source for a router plan, as submitted by swapRoute (for simulation)
+     */
+    static routeSource(route, minimumOutput = null) {
+        return ConvexClient.torusSource(ConvexClient.withMinimum(ConvexClient.routeExpression(route), minimumOutput));
+    }
+
+    /**
+     * Deposit tokens and CVX into a token's Torus market, returning LP shares minted
+     */
+    async addLiquidity(tokenAddress, tokenAmount, cvxAmount) {
+        return await this.transact(ConvexClient.torusSource(
+            Cvm.source`(torus/add-liquidity ${Cvm.address(tokenAddress)} ${Cvm.amount(tokenAmount)} ${Cvm.amount(cvxAmount)})`
+        ), { type: 'add-liquidity', token: tokenAddress, amountIn: tokenAmount, cvxAmount });
+    }
+
+    /**
+     * Burn LP shares of a token's Torus market for the underlying CVX and tokens
+     */
+    async withdrawLiquidity(tokenAddress, shares) {
+        return await this.transact(ConvexClient.torusSource(
+            Cvm.source`(torus/withdraw-liquidity ${Cvm.address(tokenAddress)} ${Cvm.amount(shares)})`
+        ), { type: 'withdraw-liquidity', token: tokenAddress, amountIn: shares });
+    }
+
+    /**
+     * Create a token's Torus market and seed its first liquidity, returning [market shares]
+     * Fails on-chain if the market already exists
+     */
+    async createMarket(tokenAddress, tokenAmount, cvxAmount) {
+        const token = Cvm.address(tokenAddress);
+        return await this.transact(ConvexClient.torusSource(
+            Cvm.source`(if (torus/get-market ${token})
+               (fail :STATE "Market already exists")
+               (let [m (torus/create-market ${token})]
+                 [m (torus/add-liquidity ${token} ${Cvm.amount(tokenAmount)} ${Cvm.amount(cvxAmount)})]))`
+        ), { type: 'create-market', token: tokenAddress, amountIn: tokenAmount, cvxAmount });
+    }
+
+    /**
+     * Get a token's Torus market address (null if none)
+     */
     async getMarket(tokenAddress) {
-        const source = `(do (import exchange.torus :as torus) (torus/get-market ${tokenAddress}))`;
+        const source = ConvexClient.torusSource(Cvm.source`(torus/get-market ${Cvm.address(tokenAddress)})`);
         try {
             const result = await this.query(source);
             return result.value;
@@ -255,14 +1295,33 @@ class ConvexClient {
         }
     }
 
+    /**
+     * Get the CVX and token reserves of a token's Torus market
+     */
+    async getMarketReserves(tokenAddress) {
+        const token = Cvm.address(tokenAddress);
+        const [reserves] = await this.read([Cvm.source`(let [m (torus/get-market ${token})]
+            (when m [m (str (balance m)) (str (fun/balance ${token} m))]))`]);
+        if (!reserves) return null;
+
+        const [market, cvxReserve, tokenReserve] = reserves;
+        return {
+            market,
+            cvxReserve: BigInt(cvxReserve || 0),
+            tokenReserve: BigInt(tokenReserve || 0)
+        };
+    }
+
     /**
      * Close connection (like official client)
      */
     close() {
         this.isConnected = false;
         this.address = null;
-        this.keyPair = null;
-        this.sequence = 0;
+        this.signer = null;
+        this.sequences.clear();
+        this.readCache.clear();
+        if (this.subscriptions) this.subscriptions.clear();
         console.log('📴 Convex connection closed');
     }
 
@@ -275,4 +1334,11 @@ class ConvexClient {
 }
 
 // Export for use (similar to official client export)
-window.ConvexClient = ConvexClient;
\ No newline at end of file
+window.ConvexClient = ConvexClient;
+window.Ed25519Signer = Ed25519Signer;
+window.CallbackSigner = CallbackSigner;
+window.ConvexError = ConvexError;
+window.NetworkError = NetworkError;
+window.PeerTimeoutError = PeerTimeoutError;
+window.HttpError = HttpError;
+window.CvmError = CvmError;
\ No newline at end of file
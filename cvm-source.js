@@ -0,0 +1,182 @@
+/**
+ * VorteX CVM Source Builder
+ * Typed, validated values for Convex Lisp source, so addresses and amounts
+ * from the registry, URLs or user input can never change the code around them
+ */
+const CVM_ADDRESS_PATTERN = /^#\d+$/;
+const CVM_KEYWORD_PATTERN = /^[a-zA-Z*+!_?<>=][a-zA-Z0-9*+!_?<>=.\-/]*$/;
+
+/**
+ * A piece of checked CVM source; only these can be interpolated by Cvm.source
+ */
+class CvmValue {
+    constructor(text) {
+        this.text = text;
+    }
+
+    toString() {
+        return this.text;
+    }
+
+    toJSON() {
+        return this.text;
+    }
+}
+
+class Cvm {
+    /**
+     * Account or actor address; accepts "#NNN", a non-negative integer or a bigint
+     */
+    static address(value) {
+        let text = typeof value === 'string' ? value.trim() : value;
+        if (typeof text === 'number' && Number.isSafeInteger(text) && text >= 0) text = `#${text}`;
+        if (typeof text === 'bigint' && text >= 0n) text = `#${text}`;
+        if (typeof text !== 'string' || !CVM_ADDRESS_PATTERN.test(text)) {
+            throw new Error(`Invalid address ${JSON.stringify(String(value))} (expected #NNN)`);
+        }
+        // Canonical form without leading zeros
+        return new CvmValue(`#${BigInt(text.slice(1))}`);
+    }
+
+    /**
+     * Whole number; accepts a bigint, a safe integer or a string of digits
+     */
+    static integer(value) {
+        if (typeof value === 'bigint') return new CvmValue(value.toString());
+        if (typeof value === 'number' && Number.isSafeInteger(value)) return new CvmValue(String(value));
+        if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+            return new CvmValue(BigInt(value.trim()).toString());
+        }
+        throw new Error(`Invalid integer ${JSON.stringify(String(value))}`);
+    }
+
+    /**
+     * Token or CVX amount in base units: a whole number of zero or more
+     */
+    static amount(value) {
+        const checked = Cvm.integer(value);
+        if (checked.text.startsWith('-')) {
+            throw new Error(`Invalid amount ${JSON.stringify(String(value))} (must be zero or more)`);
+        }
+        return checked;
+    }
+
+    /**
+     * Keyword such as :SLIPPAGE (leading colon optional)
+     */
+    static keyword(name) {
+        const text = String(name).replace(/^:/, '');
+        if (!CVM_KEYWORD_PATTERN.test(text)) {
+            throw new Error(`Invalid keyword ${JSON.stringify(String(name))}`);
+        }
+        return new CvmValue(`:${text}`);
+    }
+
+    /**
+     * Symbol for a local binding, e.g. in a let form
+     */
+    static symbol(name) {
+        const text = String(name);
+        if (!CVM_KEYWORD_PATTERN.test(text)) {
+            throw new Error(`Invalid symbol ${JSON.stringify(text)}`);
+        }
+        return new CvmValue(text);
+    }
+
+    /**
+     * String literal with quotes, backslashes and control characters escaped
+     */
+    static string(text) {
+        const escaped = String(text).replace(/[\\"\n\r\t]/g, char => ({
+            '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t'
+        })[char]);
+        return new CvmValue(`"${escaped}"`);
+    }
+
+    /**
+     * Blob literal from hex (0x prefix optional)
+     */
+    static blob(hex) {
+        const text = String(hex).trim().replace(/^0x/, '').toLowerCase();
+        if (text.length % 2 !== 0 || /[^0-9a-f]/.test(text)) {
+            throw new Error('Invalid blob hex');
+        }
+        return new CvmValue(`0x${text}`);
+    }
+
+    /**
+     * Vector of values; plain JS values are converted with Cvm.value
+     */
+    static vector(items) {
+        return new CvmValue(`[${Array.from(items, Cvm.value).join(' ')}]`);
+    }
+
+    /**
+     * Map from a Map or plain object; plain-object keys become keywords
+     */
+    static map(entries) {
+        const pairs = entries instanceof Map
+            ? [...entries].map(([key, value]) => [Cvm.value(key), Cvm.value(value)])
+            : Object.entries(entries).map(([key, value]) => [Cvm.keyword(key), Cvm.value(value)]);
+        return new CvmValue(`{${pairs.map(pair => pair.join(' ')).join(' ')}}`);
+    }
+
+    /**
+     * Convert a JS value: bigint and integers, strings, booleans, null, arrays and objects
+     */
+    static value(value) {
+        if (value instanceof CvmValue) return value;
+        if (value === null || value === undefined) return new CvmValue('nil');
+        if (typeof value === 'boolean') return new CvmValue(String(value));
+        if (typeof value === 'bigint' || typeof value === 'number') return Cvm.integer(value);
+        if (typeof value === 'string') return Cvm.string(value);
+        if (Array.isArray(value)) return Cvm.vector(value);
+        if (value instanceof Map || typeof value === 'object') return Cvm.map(value);
+        throw new Error(`Cannot convert ${typeof value} to CVM source`);
+    }
+
+    /**
+     * Tagged template for source code: every interpolation must be a checked CvmValue
+     */
+    static source(strings, ...values) {
+        let text = strings[0];
+        values.forEach((value, index) => {
+            if (!(value instanceof CvmValue)) {
+                throw new Error(`Unchecked value ${JSON.stringify(String(value))} in CVM source; wrap it with Cvm.address, Cvm.integer, ...`);
+            }
+            text += value.text + strings[index + 1];
+        });
+        return new CvmValue(text);
+    }
+
+    /**
+     * Join checked forms with spaces, e.g. for the body of a (do ...)
+     */
+    static join(forms) {
+        return new CvmValue(Array.from(forms, form => {
+            if (!(form instanceof CvmValue)) throw new Error('Cvm.join only accepts checked source');
+            return form.text;
+        }).join(' '));
+    }
+
+    /**
+     * Text of checked source to send to a peer; raw strings are refused
+     */
+    static text(source) {
+        if (!(source instanceof CvmValue)) {
+            throw new Error(`Unchecked CVM source ${JSON.stringify(String(source))}; build it with Cvm.source`);
+        }
+        return source.text;
+    }
+
+    /**
+     * Whether a value is a well-formed #NNN address
+     */
+    static isAddress(value) {
+        return typeof value === 'string' && CVM_ADDRESS_PATTERN.test(value.trim());
+    }
+}
+
+// Export for use
+window.Cvm = Cvm;
+window.CvmValue = CvmValue;
@@ -0,0 +1,260 @@
+/**
+ * VorteX Encrypted Keystore
+ * Account seeds encrypted with a passphrase (PBKDF2 + AES-GCM via WebCrypto)
+ * Only ciphertext is ever written to localStorage or exported files
+ */
+const KEYSTORE_STORAGE_KEY = 'vortex_keystore';
+const KEYSTORE_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+
+// Iteration counts accepted from a stored or imported record: enough to resist guessing,
+// not so many that a crafted file hangs the page
+const PBKDF2_MIN_ITERATIONS = 100000;
+const PBKDF2_MAX_ITERATIONS = 10000000;
+
+class Keystore {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        // Derived AES key with the salt and iteration count it came from, held only while unlocked
+        this.key = null;
+        this.salt = null;
+        this.iterations = null;
+    }
+
+    /**
+     * Whether an encrypted keystore is saved in this browser
+     */
+    exists() {
+        return this.storage.getItem(KEYSTORE_STORAGE_KEY) !== null;
+    }
+
+    /**
+     * Whether the derived key is in memory
+     */
+    isUnlocked() {
+        return this.key !== null;
+    }
+
+    /**
+     * Derive a non-extractable AES-GCM key from a passphrase
+     */
+    static async deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+        if (!passphrase || passphrase.length < 8) {
+            throw new Error('Passphrase must be at least 8 characters');
+        }
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Check a parsed keystore file has the fields we need
+     */
+    static validate(record) {
+        if (!record || record.version !== KEYSTORE_VERSION || record.kdf !== 'PBKDF2'
+            || !record.salt || !record.iv || !record.ciphertext) {
+            throw new Error('Not a VorteX keystore file');
+        }
+        if (!Number.isSafeInteger(record.iterations)
+            || record.iterations < PBKDF2_MIN_ITERATIONS || record.iterations > PBKDF2_MAX_ITERATIONS) {
+            throw new Error(`Keystore iteration count must be between ${PBKDF2_MIN_ITERATIONS} and ${PBKDF2_MAX_ITERATIONS}`);
+        }
+        return record;
+    }
+
+    /**
+     * Decrypt a keystore record with an already derived key
+     */
+    static async decryptRecord(record, key) {
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: ConvexClient.hexToBytes(record.iv) },
+                key,
+                ConvexClient.hexToBytes(record.ciphertext)
+            );
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (error) {
+            throw new Error('Wrong passphrase or corrupted keystore');
+        }
+    }
+
+    /**
+     * Read the stored keystore record
+     */
+    load() {
+        const raw = this.storage.getItem(KEYSTORE_STORAGE_KEY);
+        if (!raw) {
+            throw new Error('No keystore saved in this browser');
+        }
+        return Keystore.validate(JSON.parse(raw));
+    }
+
+    /**
+     * Create a new keystore protected by a passphrase
+     */
+    async create(passphrase, accounts = []) {
+        this.salt = crypto.getRandomValues(new Uint8Array(16));
+        this.iterations = PBKDF2_ITERATIONS;
+        this.key = await Keystore.deriveKey(passphrase, this.salt, this.iterations);
+        await this.save(accounts);
+    }
+
+    /**
+     * Decrypt the stored keystore and keep its key until locked
+     */
+    async unlock(passphrase) {
+        const record = this.load();
+        const salt = ConvexClient.hexToBytes(record.salt);
+        const key = await Keystore.deriveKey(passphrase, salt, record.iterations);
+        const accounts = await Keystore.decryptRecord(record, key);
+
+        this.key = key;
+        this.salt = salt;
+        this.iterations = record.iterations;
+        console.log('🔓 Keystore unlocked');
+        return accounts;
+    }
+
+    /**
+     * Encrypt and store accounts with the unlocked key (fresh IV every save); the record
+     * names the iteration count that key was derived with, which need not be today's default
+     */
+    async save(accounts) {
+        if (!this.isUnlocked()) {
+            throw new Error('Keystore is locked');
+        }
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            this.key,
+            new TextEncoder().encode(JSON.stringify(accounts))
+        );
+
+        const record = {
+            version: KEYSTORE_VERSION,
+            kdf: 'PBKDF2',
+            iterations: this.iterations,
+            cipher: 'AES-GCM',
+            salt: ConvexClient.bytesToHex(this.salt),
+            iv: ConvexClient.bytesToHex(iv),
+            ciphertext: ConvexClient.bytesToHex(new Uint8Array(ciphertext))
+        };
+        this.storage.setItem(KEYSTORE_STORAGE_KEY, JSON.stringify(record));
+    }
+
+    /**
+     * Re-encrypt the keystore under a new passphrase
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        const accounts = await this.unlock(currentPassphrase);
+        this.salt = crypto.getRandomValues(new Uint8Array(16));
+        this.iterations = PBKDF2_ITERATIONS;
+        this.key = await Keystore.deriveKey(newPassphrase, this.salt, this.iterations);
+        await this.save(accounts);
+        console.log('🔑 Keystore passphrase changed');
+        return accounts;
+    }
+
+    /**
+     * Encrypted keystore as a JSON file body for backup
+     */
+    exportFile() {
+        return JSON.stringify(this.load(), null, 2);
+    }
+
+    /**
+     * Replace the stored keystore with an exported file, checking the passphrase first
+     */
+    async importFile(json, passphrase) {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Not a VorteX keystore file');
+        }
+        const record = Keystore.validate(parsed);
+        const salt = ConvexClient.hexToBytes(record.salt);
+        const key = await Keystore.deriveKey(passphrase, salt, record.iterations);
+        const accounts = await Keystore.decryptRecord(record, key);
+
+        this.storage.setItem(KEYSTORE_STORAGE_KEY, JSON.stringify(record));
+        this.key = key;
+        this.salt = salt;
+        this.iterations = record.iterations;
+        return accounts;
+    }
+
+    /**
+     * Forget the derived key
+     */
+    lock() {
+        this.key = null;
+        this.salt = null;
+        this.iterations = null;
+        console.log('🔒 Keystore locked');
+    }
+}
+
+/**
+ * Calls onLock after a period with no user activity
+ */
+class IdleLock {
+    constructor(timeoutMs, onLock) {
+        this.timeoutMs = timeoutMs;
+        this.onLock = onLock;
+        this.timer = null;
+        this.reset = this.reset.bind(this);
+        this.events = ['mousemove', 'keydown', 'click', 'touchstart', 'scroll'];
+    }
+
+    /**
+     * Begin watching for activity
+     */
+    start() {
+        this.events.forEach(name => document.addEventListener(name, this.reset, { passive: true }));
+        this.reset();
+    }
+
+    /**
+     * Stop watching and cancel the pending lock
+     */
+    stop() {
+        this.events.forEach(name => document.removeEventListener(name, this.reset));
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Restart the idle countdown
+     */
+    reset() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.stop();
+            this.onLock();
+        }, this.timeoutMs);
+    }
+
+    /**
+     * Change the idle period, restarting any running countdown
+     */
+    setTimeoutMs(timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        if (this.timer) this.reset();
+    }
+}
+
+// Export for use
+window.Keystore = Keystore;
+window.IdleLock = IdleLock;
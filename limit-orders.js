@@ -0,0 +1,280 @@
+/**
+ * VorteX Limit Orders
+ * Torus has no order book, so limit and stop orders live in localStorage and
+ * are watched from the page: market reserves are polled on a timer and the
+ * swap is submitted, with slippage bounds, once an order's price is reached.
+ * Orders only execute while a VorteX tab is open and the wallet is connected.
+ */
+const ORDER_STORAGE_KEY = 'vortex_orders';
+const ORDER_POLL_MS = 15000;
+
+// Order kinds: a limit sells once the price rises to the trigger, a stop once it falls to it
+const ORDER_KINDS = ['limit', 'stop'];
+
+class LimitOrderEngine {
+    static POLL_MS = ORDER_POLL_MS;
+
+    constructor(torusSwap, storage = window.localStorage) {
+        // Orders quote and execute through the same TorusSwap path as the swap form
+        this.swap = torusSwap;
+        this.client = torusSwap.client;
+        this.storage = storage;
+        this.orders = this.load();
+        this.listeners = new Set();
+        this.address = null;
+        this.timer = null;
+        this.checking = false;
+        // Orders declined at review this session: still open, not triggered again until resumed
+        this.paused = new Set();
+    }
+
+    /**
+     * Read saved orders; any left mid-submission by a closed tab are marked failed
+     */
+    load() {
+        let orders = [];
+        try {
+            const saved = JSON.parse(this.storage.getItem(ORDER_STORAGE_KEY));
+            if (Array.isArray(saved)) orders = saved;
+        } catch (error) {
+            console.error('Failed to read orders:', error);
+        }
+        orders.forEach(order => {
+            if (order.status === 'submitting') {
+                order.status = 'failed';
+                order.error = 'The page closed while this order was being submitted; check your transaction history';
+            }
+        });
+        return orders;
+    }
+
+    /**
+     * Save all orders
+     */
+    save() {
+        this.storage.setItem(ORDER_STORAGE_KEY, JSON.stringify(this.orders));
+    }
+
+    /**
+     * Be told when orders change, as listener(order, changes); returns an unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Save and tell listeners about a changed order
+     */
+    update(order, changes = {}) {
+        Object.assign(order, changes);
+        this.save();
+        this.listeners.forEach(listener => listener(order, changes));
+    }
+
+    /**
+     * Output (base units of tokenOut) that selling amountIn at a price gives,
+     * where priceUnits is the price of one whole tokenIn in tokenOut base units
+     */
+    static triggerOutput(amountIn, priceUnits, tokenInDecimals) {
+        const scale = 10n ** BigInt(tokenInDecimals);
+        return (BigInt(amountIn) * BigInt(priceUnits) + scale - 1n) / scale;
+    }
+
+    /**
+     * Whether a quoted output meets an order's trigger
+     */
+    static isTriggered(order, amountOut) {
+        const trigger = BigInt(order.triggerOutput);
+        return order.kind === 'limit' ? amountOut >= trigger : amountOut <= trigger;
+    }
+
+    /**
+     * Store a new open order: sell amountIn of tokenIn for tokenOut once the trigger output is met
+     */
+    place({ address, kind, tokenIn, tokenOut, amountIn, triggerOutput, price, expiresAt, slippageBps }) {
+        if (!ORDER_KINDS.includes(kind)) {
+            throw new Error(`Unknown order type "${kind}"`);
+        }
+        if (tokenIn === tokenOut) {
+            throw new Error('Cannot swap a token for itself');
+        }
+        if (BigInt(amountIn) <= 0n) {
+            throw new Error('Enter an amount to sell');
+        }
+        if (BigInt(triggerOutput) <= 0n) {
+            throw new Error('Enter a trigger price above zero');
+        }
+        if (!(expiresAt > Date.now())) {
+            throw new Error('Expiry must be in the future');
+        }
+
+        const order = {
+            id: `${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+            createdAt: new Date().toISOString(),
+            address,
+            kind,
+            tokenIn,
+            tokenOut,
+            amountIn: String(amountIn),
+            triggerOutput: String(triggerOutput),
+            price: String(price),
+            expiresAt: new Date(expiresAt).toISOString(),
+            slippageBps: TorusQuoteEngine.validateSlippage(slippageBps),
+            status: 'open',
+            lastQuote: null,
+            checkedAt: null,
+            amountOut: null,
+            error: null
+        };
+        this.orders.unshift(order);
+        this.update(order);
+        console.log(`📌 ${kind} order placed:`, order);
+        return order;
+    }
+
+    /**
+     * Cancel an open order
+     */
+    cancel(id) {
+        const order = this.orders.find(item => item.id === id);
+        if (!order || order.status !== 'open') return false;
+        this.paused.delete(id);
+        this.update(order, { status: 'cancelled' });
+        return true;
+    }
+
+    /**
+     * Remove an account's finished orders
+     */
+    clearFinished(address) {
+        this.orders = this.orders.filter(order => order.address !== address || ['open', 'submitting'].includes(order.status));
+        this.save();
+        this.listeners.forEach(listener => listener(null));
+    }
+
+    /**
+     * Whether an open order was declined at review and waits to be resumed
+     */
+    isPaused(id) {
+        return this.paused.has(id);
+    }
+
+    /**
+     * Let a paused order trigger again, checking it straight away
+     */
+    resume(id) {
+        if (!this.paused.delete(id)) return;
+        const order = this.orders.find(item => item.id === id);
+        if (order) this.update(order);
+        this.check();
+    }
+
+    /**
+     * An account's orders, newest first, optionally narrowed by status
+     */
+    list(address, status = '') {
+        return this.orders.filter(order => order.address === address && (!status || order.status === status));
+    }
+
+    /**
+     * Start watching the connected account's orders
+     */
+    start(address) {
+        this.stop();
+        this.address = address;
+        this.timer = setInterval(() => this.check(), ORDER_POLL_MS);
+        this.check();
+    }
+
+    /**
+     * Stop watching (on disconnect or lock)
+     */
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.address = null;
+    }
+
+    /**
+     * Expire, quote and, when triggered, execute each open order of the watched account
+     */
+    async check() {
+        if (this.checking || !this.address) return;
+        this.checking = true;
+        try {
+            for (const order of this.list(this.address, 'open')) {
+                if (!this.address) break;
+                if (new Date(order.expiresAt) <= new Date()) {
+                    this.update(order, { status: 'expired' });
+                    continue;
+                }
+                if (this.paused.has(order.id)) continue;
+                try {
+                    await this.checkOrder(order);
+                } catch (error) {
+                    // A quote that fails now may succeed on the next poll
+                    console.error(`Order ${order.id} check failed:`, error);
+                }
+            }
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Quote one order and submit its swap if the trigger is met. A swap that fails
+     * before anything is exchanged (price moved past the bound, peer unavailable)
+     * leaves the order open for the next poll; other failures end it.
+     */
+    async checkOrder(order) {
+        // The client signs as its current account, which may no longer be the order's
+        if (order.address !== this.client.address) return;
+
+        const quote = await this.swap.quote(order.tokenIn, order.tokenOut, { amountIn: BigInt(order.amountIn) }, order.slippageBps);
+        this.update(order, { lastQuote: quote.amountOut.toString(), checkedAt: new Date().toISOString() });
+        if (!LimitOrderEngine.isTriggered(order, quote.amountOut)) return;
+
+        // A limit never fills below its price; a stop accepts the usual slippage below the quote
+        const trigger = BigInt(order.triggerOutput);
+        if (order.kind === 'limit' && quote.minimumOutput < trigger) {
+            quote.minimumOutput = trigger;
+        }
+
+        console.log(`🎯 ${order.kind} order ${order.id} triggered, submitting swap`);
+        this.update(order, { status: 'submitting' });
+        let result;
+        try {
+            // The review shows this as the order's execution rather than a swap the user just asked for
+            const { id, kind, tokenIn, tokenOut, amountIn, price } = order;
+            result = await this.swap.send(quote, { order: { id, kind, tokenIn, tokenOut, amountIn, price } });
+        } catch (error) {
+            const reason = error instanceof ConvexError ? error.describe() : error.message;
+            if (error.code === 'SLIPPAGE' || error.retryable) {
+                console.warn(`Order ${order.id} not filled this time: ${reason}`);
+                this.update(order, { status: 'open', error: reason });
+                return;
+            }
+            // Declined at review: the order stays open, paused so the review doesn't return every poll
+            if (error.code === 'CANCELLED') {
+                this.paused.add(order.id);
+                this.update(order, { status: 'open' });
+                return;
+            }
+            this.update(order, { status: 'failed', error: reason });
+            return;
+        }
+
+        // The swap is on chain: the order is filled even if its output can't be read
+        let amountOut = null;
+        try {
+            amountOut = String(Amount.toBigInt(result.value));
+        } catch (error) {
+            console.warn(`Order ${order.id} filled with an unreadable output:`, result.value);
+        }
+        this.update(order, { status: 'filled', filledAt: new Date().toISOString(), amountOut, error: null });
+    }
+}
+
+// Export for use
+window.LimitOrderEngine = LimitOrderEngine;
@@ -0,0 +1,274 @@
+/**
+ * VorteX Market Data
+ * Samples every Torus market's reserves on a timer and keeps the time series
+ * in IndexedDB, then derives prices, 24h change, estimated volume, liquidity
+ * depth and candles for any pair of CVX and registered tokens
+ */
+const MARKET_DB_NAME = 'vortex_market_data';
+const MARKET_DB_VERSION = 1;
+const MARKET_SAMPLE_STORE = 'samples';
+
+const MARKET_SAMPLE_MS = 60000;
+const MARKET_RETENTION_MS = 30 * 86400000;
+const DAY_MS = 86400000;
+
+// Price impact used for the liquidity depth figure
+const DEPTH_IMPACT = 0.02;
+
+class MarketData {
+    static SAMPLE_MS = MARKET_SAMPLE_MS;
+
+    constructor(router, networkId, idb = window.indexedDB) {
+        this.router = router;
+        this.network = networkId;
+        this.idb = idb;
+        this.db = null;
+        this.timer = null;
+        this.latest = new Map();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Open (and on first use create) the sample database
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = this.idb.open(MARKET_DB_NAME, MARKET_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    // One sample per market per tick, ordered by time within a market
+                    request.result.createObjectStore(MARKET_SAMPLE_STORE, { keyPath: ['network', 'market', 'time'] });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run one request against the sample store and resolve with its result
+     */
+    async store(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(MARKET_SAMPLE_STORE, mode);
+            const request = action(transaction.objectStore(MARKET_SAMPLE_STORE));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Be told after each sampling tick; returns an unsubscribe function
+     */
+    onSample(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Sample on a timer until stopped
+     */
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.sample().catch(error => {
+            console.error('Market sampling failed:', error);
+        }), MARKET_SAMPLE_MS);
+        return this.sample();
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Markets differ between networks, so samples are kept apart by network id
+     */
+    setNetwork(networkId) {
+        this.network = networkId;
+        this.latest = new Map();
+    }
+
+    /**
+     * Read every market's reserves once and store them with a shared timestamp
+     */
+    async sample() {
+        const pools = await this.router.loadPools();
+        const time = Date.now();
+        const network = this.network;
+
+        await this.store('readwrite', store => {
+            pools.forEach(pool => {
+                store.put({
+                    network,
+                    market: pool.market,
+                    token: pool.token,
+                    time,
+                    cvxReserve: pool.cvxReserve.toString(),
+                    tokenReserve: pool.tokenReserve.toString()
+                });
+                // Drop this market's samples older than the retention window
+                store.delete(IDBKeyRange.bound([network, pool.market, 0], [network, pool.market, time - MARKET_RETENTION_MS]));
+            });
+            return null;
+        });
+
+        this.latest = new Map(pools.map(pool => [pool.token, pool]));
+        this.listeners.forEach(listener => listener(time));
+        return pools;
+    }
+
+    /**
+     * A token's stored samples since a time, oldest first
+     */
+    async samples(tokenAddress, since = 0) {
+        const market = await this.marketOf(tokenAddress);
+        if (!market) return [];
+        const range = IDBKeyRange.bound([this.network, market, since], [this.network, market, Infinity]);
+        const rows = await this.store('readonly', store => store.getAll(range));
+        return rows.map(row => ({
+            ...row,
+            cvxReserve: BigInt(row.cvxReserve),
+            tokenReserve: BigInt(row.tokenReserve)
+        }));
+    }
+
+    /**
+     * Market address of a token, from the last sample or the registry
+     */
+    async marketOf(tokenAddress) {
+        if (this.latest.has(tokenAddress)) return this.latest.get(tokenAddress).market;
+        const token = this.router.registry.get(tokenAddress);
+        return token && token.market ? token.market : null;
+    }
+
+    decimals(address) {
+        const token = this.router.registry.get(address);
+        return token ? token.decimals : 0;
+    }
+
+    /**
+     * Price of one whole token in CVX from a reserve sample
+     */
+    cvxPrice(address, sample) {
+        if (!address) return 1;
+        const cvx = Number(sample.cvxReserve) / 10 ** TokenRegistry.CVX.decimals;
+        const tokens = Number(sample.tokenReserve) / 10 ** this.decimals(address);
+        return tokens > 0 ? cvx / tokens : 0;
+    }
+
+    /**
+     * Price of one whole fromToken in toToken over time: [{time, price}], oldest first
+     */
+    async series(fromToken, toToken, since = 0) {
+        const [fromSamples, toSamples] = await Promise.all([
+            fromToken ? this.samples(fromToken, since) : null,
+            toToken ? this.samples(toToken, since) : null
+        ]);
+
+        // Samples from one tick share a timestamp, so the two markets join on time
+        const toByTime = new Map((toSamples || []).map(sample => [sample.time, sample]));
+        const times = fromSamples ? fromSamples.map(sample => sample.time) : [...toByTime.keys()];
+        const fromByTime = new Map((fromSamples || []).map(sample => [sample.time, sample]));
+
+        const points = [];
+        times.forEach(time => {
+            const from = fromToken ? fromByTime.get(time) : null;
+            const to = toToken ? toByTime.get(time) : null;
+            if ((fromToken && !from) || (toToken && !to)) return;
+            const toPrice = this.cvxPrice(toToken, to);
+            if (toPrice > 0) points.push({ time, price: this.cvxPrice(fromToken, from) / toPrice });
+        });
+        return points;
+    }
+
+    /**
+     * Volume in CVX base units estimated from reserve changes between samples.
+     * A swap moves the two reserves in opposite directions, liquidity changes move
+     * them together and are skipped; trades netted within one interval are missed,
+     * so this is a lower bound.
+     */
+    static estimateVolume(samples) {
+        let volume = 0n;
+        for (let i = 1; i < samples.length; i++) {
+            const cvxChange = samples[i].cvxReserve - samples[i - 1].cvxReserve;
+            const tokenChange = samples[i].tokenReserve - samples[i - 1].tokenReserve;
+            if ((cvxChange > 0n && tokenChange < 0n) || (cvxChange < 0n && tokenChange > 0n)) {
+                volume += cvxChange < 0n ? -cvxChange : cvxChange;
+            }
+        }
+        return volume;
+    }
+
+    /**
+     * Largest input (base units) whose price impact along the pair's route stays within DEPTH_IMPACT
+     */
+    depth(fromToken, toToken, pools = [...this.latest.values()]) {
+        const hops = TorusRouter.findRoute(pools, fromToken, toToken);
+        if (!hops) return 0n;
+
+        const engine = this.router.quoteEngine;
+        let low = 0n;
+        let high = hops[0].reserveIn;
+        while (high - low > 1n) {
+            const middle = (low + high) / 2n;
+            if (engine.quoteHops(hops, middle).priceImpact <= DEPTH_IMPACT) low = middle;
+            else high = middle;
+        }
+        return low;
+    }
+
+    /**
+     * Current price, 24h change, high/low, estimated volume, liquidity and depth for a pair
+     */
+    async stats(fromToken, toToken) {
+        const since = Date.now() - DAY_MS;
+        const points = await this.series(fromToken, toToken, since);
+        const markets = await Promise.all([fromToken, toToken].filter(Boolean).map(token => this.samples(token, since)));
+
+        const current = points.length ? points[points.length - 1].price : null;
+        const first = points.length ? points[0].price : null;
+        const prices = points.map(point => point.price);
+        const pools = [fromToken, toToken].filter(Boolean).map(token => this.latest.get(token));
+
+        return {
+            price: current,
+            change24h: first ? (current - first) / first : null,
+            high24h: prices.length ? Math.max(...prices) : null,
+            low24h: prices.length ? Math.min(...prices) : null,
+            volumeCvx24h: markets.reduce((sum, samples) => sum + MarketData.estimateVolume(samples), 0n),
+            // Both sides of the shallowest market on the route, valued in CVX
+            liquidityCvx: pools.every(Boolean)
+                ? pools.reduce((low, pool) => (low === null || pool.cvxReserve * 2n < low ? pool.cvxReserve * 2n : low), null)
+                : null,
+            depth: pools.every(Boolean) ? this.depth(fromToken, toToken) : null,
+            depthImpact: DEPTH_IMPACT,
+            since: points.length ? points[0].time : null,
+            samples: points.length
+        };
+    }
+
+    /**
+     * Group a price series into OHLC candles of intervalMs
+     */
+    static candles(points, intervalMs) {
+        const candles = [];
+        points.forEach(({ time, price }) => {
+            const start = Math.floor(time / intervalMs) * intervalMs;
+            const last = candles[candles.length - 1];
+            if (last && last.time === start) {
+                last.high = Math.max(last.high, price);
+                last.low = Math.min(last.low, price);
+                last.close = price;
+            } else {
+                candles.push({ time: start, open: price, high: price, low: price, close: price });
+            }
+        });
+        return candles;
+    }
+}
+
+// Export for use
+window.MarketData = MarketData;
@@ -0,0 +1,430 @@
+/**
+ * VorteX Notifications
+ * Stacked, dismissible toasts with a session log, yes/no questions in a modal,
+ * and busy state tracked per component, so nothing on the page blocks or
+ * rewrites unrelated buttons
+ */
+
+// How long each severity stays on screen (durationMs: 0 keeps a toast until dismissed)
+const TOAST_DURATIONS_MS = { success: 5000, info: 5000, warning: 8000, error: 12000 };
+
+// Toasts shown at once; the oldest makes way (it stays in the log)
+const MAX_TOASTS = 4;
+
+// Notifications kept in the session log
+const LOG_LIMIT = 200;
+
+const SEVERITY_ICONS = { success: '✅', info: 'ℹ️', warning: '⚠️', error: '❌' };
+
+class NotificationCenter {
+    constructor(doc = window.document) {
+        this.document = doc;
+        this.stack = null;
+        this.logModal = null;
+        // Question modal, and the answer callback of the question it shows (see ask)
+        this.askModal = null;
+        this.answer = null;
+        // Toasts on screen by id: {entry, element, timer}
+        this.toasts = new Map();
+        // Session log, newest first; cleared when the page reloads
+        this.log = [];
+        this.listeners = new Set();
+        this.nextId = 1;
+    }
+
+    /**
+     * Known severity for a type name (anything else is info)
+     */
+    static severity(type) {
+        return Object.prototype.hasOwnProperty.call(SEVERITY_ICONS, type) ? type : 'info';
+    }
+
+    /**
+     * Emoji for a severity
+     */
+    static icon(type) {
+        return SEVERITY_ICONS[NotificationCenter.severity(type)];
+    }
+
+    /**
+     * Show a toast and log it; returns its id.
+     * actions: [{label, run}] buttons that dismiss the toast and run.
+     * key: a toast with the same key still on screen is updated and counted instead of stacked again.
+     */
+    notify(message, { severity = 'info', actions = [], key = null, durationMs = undefined } = {}) {
+        severity = NotificationCenter.severity(severity);
+        const time = new Date();
+
+        const repeat = key ? [...this.toasts.values()].find(toast => toast.entry.key === key) : null;
+        if (repeat) {
+            Object.assign(repeat.entry, { message, severity, time, read: false, count: repeat.entry.count + 1 });
+            repeat.actions = actions;
+            this.renderToast(repeat);
+            this.schedule(repeat, durationMs);
+            this.notifyListeners();
+            return repeat.entry.id;
+        }
+
+        const entry = {
+            id: this.nextId++,
+            time,
+            severity,
+            message: String(message),
+            key,
+            count: 1,
+            read: false
+        };
+        this.log.unshift(entry);
+        this.log.length = Math.min(this.log.length, LOG_LIMIT);
+
+        if (this.document) {
+            const toast = { entry, actions, element: null, timer: null };
+            this.toasts.set(entry.id, toast);
+            this.renderToast(toast);
+            this.schedule(toast, durationMs);
+            const shown = [...this.toasts.keys()];
+            shown.slice(0, Math.max(0, shown.length - MAX_TOASTS)).forEach(id => this.dismiss(id));
+        }
+        this.notifyListeners();
+        return entry.id;
+    }
+
+    /**
+     * Remove a toast from the screen (it stays in the log)
+     */
+    dismiss(id) {
+        const toast = this.toasts.get(id);
+        if (!toast) return;
+        this.toasts.delete(id);
+        clearTimeout(toast.timer);
+        toast.element.style.opacity = '0';
+        setTimeout(() => toast.element.remove(), 300);
+    }
+
+    /**
+     * Remove every toast from the screen
+     */
+    dismissAll() {
+        [...this.toasts.keys()].forEach(id => this.dismiss(id));
+    }
+
+    /**
+     * Session log entries, newest first
+     */
+    entries() {
+        return this.log.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Log entries not yet seen in the log view
+     */
+    unreadCount() {
+        return this.log.filter(entry => !entry.read).length;
+    }
+
+    /**
+     * Forget the session log
+     */
+    clearLog() {
+        this.log = [];
+        this.notifyListeners();
+        if (this.logModal) this.renderLog();
+    }
+
+    /**
+     * Call listener (with the unread count) whenever the log changes; returns an unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notifyListeners() {
+        const unread = this.unreadCount();
+        this.listeners.forEach(listener => listener(unread));
+    }
+
+    /**
+     * Start or restart a toast's auto-dismiss timer for its severity
+     */
+    schedule(toast, durationMs = undefined) {
+        clearTimeout(toast.timer);
+        const duration = durationMs ?? TOAST_DURATIONS_MS[toast.entry.severity];
+        toast.timer = duration > 0 ? setTimeout(() => this.dismiss(toast.entry.id), duration) : null;
+    }
+
+    /**
+     * Container the toasts stack in, created on first use
+     */
+    getStack() {
+        if (!this.stack) {
+            this.stack = this.document.createElement('div');
+            this.stack.className = 'notification-stack';
+            this.stack.setAttribute('aria-live', 'polite');
+            this.document.body.appendChild(this.stack);
+        }
+        return this.stack;
+    }
+
+    /**
+     * Draw (or redraw) one toast with its message, repeat count, actions and close button
+     */
+    renderToast(toast) {
+        const { entry } = toast;
+        if (!toast.element) {
+            toast.element = this.document.createElement('div');
+            this.getStack().appendChild(toast.element);
+        }
+        const element = toast.element;
+        element.className = `notification notification-${entry.severity}`;
+        element.setAttribute('role', entry.severity === 'error' ? 'alert' : 'status');
+        element.innerHTML = `
+            <div class="flex items-start space-x-3">
+                <div data-role="message" class="flex-1"></div>
+                <button data-role="close" class="opacity-70 hover:opacity-100" title="Dismiss">✕</button>
+            </div>
+            <div data-role="actions" class="flex space-x-2 mt-2"></div>
+        `;
+        element.querySelector('[data-role="message"]').textContent = entry.count > 1
+            ? `${entry.message} (×${entry.count})`
+            : entry.message;
+        element.querySelector('[data-role="close"]').addEventListener('click', () => this.dismiss(entry.id));
+
+        const actions = element.querySelector('[data-role="actions"]');
+        actions.classList.toggle('hidden', toast.actions.length === 0);
+        toast.actions.forEach(action => {
+            const button = this.document.createElement('button');
+            button.className = 'bg-white/20 hover:bg-white/30 px-3 py-1 rounded text-sm';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                this.dismiss(entry.id);
+                Promise.resolve()
+                    .then(() => action.run())
+                    .catch(error => this.notify(`${action.label} failed: ${error.message}`, { severity: 'error' }));
+            });
+            actions.appendChild(button);
+        });
+    }
+
+    /**
+     * Ask a yes/no question in a modal instead of a blocking confirm(); resolves true only
+     * for the confirm button. details (e.g. transaction source) is shown verbatim below.
+     * A new question answers one still open with false.
+     */
+    ask(message, { title = 'Please confirm', details = '', confirmLabel = 'Confirm', cancelLabel = 'Cancel' } = {}) {
+        if (this.answer) this.answer(false);
+        if (!this.askModal) this.buildAsk();
+        const modal = this.askModal;
+        modal.querySelector('[data-role="title"]').textContent = title;
+        modal.querySelector('[data-role="message"]').textContent = message;
+        const detail = modal.querySelector('[data-role="details"]');
+        detail.textContent = details;
+        detail.classList.toggle('hidden', !details);
+        modal.querySelector('[data-role="confirm"]').textContent = confirmLabel;
+        modal.querySelector('[data-role="cancel"]').textContent = cancelLabel;
+
+        return new Promise(resolve => {
+            this.answer = (approved) => {
+                this.answer = null;
+                modal.style.display = 'none';
+                resolve(approved);
+            };
+            modal.style.display = 'block';
+        });
+    }
+
+    /**
+     * Build the question modal once and attach it to the page
+     */
+    buildAsk() {
+        this.askModal = this.document.createElement('div');
+        this.askModal.className = 'modal';
+        this.askModal.innerHTML = `
+            <div class="modal-content">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 data-role="title" class="text-xl font-bold"></h3>
+                    <button data-role="close" class="hover:text-purple-200" title="Cancel">✕</button>
+                </div>
+                <div data-role="message" class="text-sm whitespace-pre-line mb-3"></div>
+                <pre data-role="details" class="whitespace-pre-wrap text-xs bg-black/20 rounded p-2 mb-4"></pre>
+                <div class="flex space-x-2">
+                    <button data-role="cancel" class="flex-1 bg-white/10 hover:bg-white/20 py-3 rounded-xl font-medium"></button>
+                    <button data-role="confirm" class="flex-1 bg-purple-600 hover:bg-purple-700 py-3 rounded-xl font-medium"></button>
+                </div>
+            </div>
+        `;
+        this.document.body.appendChild(this.askModal);
+
+        const reply = (approved) => () => this.answer && this.answer(approved);
+        this.askModal.querySelector('[data-role="confirm"]').addEventListener('click', reply(true));
+        this.askModal.querySelector('[data-role="cancel"]').addEventListener('click', reply(false));
+        this.askModal.querySelector('[data-role="close"]').addEventListener('click', reply(false));
+        this.askModal.addEventListener('click', (event) => {
+            if (event.target === this.askModal) reply(false)();
+        });
+    }
+
+    /**
+     * Show the session log and mark it read
+     */
+    openLog() {
+        if (!this.logModal) this.buildLog();
+        this.logModal.style.display = 'block';
+        this.log.forEach(entry => { entry.read = true; });
+        this.renderLog();
+        this.notifyListeners();
+    }
+
+    /**
+     * Hide the session log
+     */
+    closeLog() {
+        if (this.logModal) this.logModal.style.display = 'none';
+    }
+
+    /**
+     * Build the log modal once and attach it to the page
+     */
+    buildLog() {
+        this.logModal = this.document.createElement('div');
+        this.logModal.className = 'modal';
+        this.logModal.innerHTML = `
+            <div class="modal-content">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-xl font-bold">Notifications</h3>
+                    <div class="flex items-center space-x-3">
+                        <button data-role="clear" class="text-sm hover:text-purple-200">Clear</button>
+                        <button data-role="close" class="hover:text-purple-200" title="Close">✕</button>
+                    </div>
+                </div>
+                <div data-role="list" class="max-h-96 overflow-y-auto space-y-2"></div>
+            </div>
+        `;
+        this.document.body.appendChild(this.logModal);
+
+        this.logModal.querySelector('[data-role="close"]').addEventListener('click', () => this.closeLog());
+        this.logModal.querySelector('[data-role="clear"]').addEventListener('click', () => this.clearLog());
+        this.logModal.addEventListener('click', (event) => {
+            if (event.target === this.logModal) this.closeLog();
+        });
+    }
+
+    /**
+     * Draw the session log entries
+     */
+    renderLog() {
+        const list = this.logModal.querySelector('[data-role="list"]');
+        list.innerHTML = '';
+        if (this.log.length === 0) {
+            list.innerHTML = '<p class="text-sm text-white/60">Nothing yet this session.</p>';
+            return;
+        }
+
+        this.log.forEach(entry => {
+            const row = this.document.createElement('div');
+            row.className = 'token-input rounded-lg p-3 flex items-start space-x-3 text-sm';
+            row.innerHTML = `
+                <span></span>
+                <div class="flex-1"><div></div><div class="text-white/60 text-xs"></div></div>
+            `;
+            row.firstElementChild.textContent = NotificationCenter.icon(entry.severity);
+            const [message, time] = row.lastElementChild.children;
+            message.textContent = entry.message;
+            time.textContent = entry.time.toLocaleTimeString() + (entry.count > 1 ? ` · ×${entry.count}` : '');
+            list.appendChild(row);
+        });
+    }
+}
+
+/**
+ * Which components (swap, connect, ...) are busy. A busy component's own element
+ * is disabled and shows a spinner; nothing else on the page is touched.
+ */
+class LoadingState {
+    constructor() {
+        // component -> {count, element, label, html, busyHtml, wasDisabled}
+        this.active = new Map();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Run a task with a component marked busy until it settles
+     */
+    async run(component, task, { element = null, label = '' } = {}) {
+        this.start(component, { element, label });
+        try {
+            return await task();
+        } finally {
+            this.stop(component);
+        }
+    }
+
+    /**
+     * Mark a component busy; overlapping starts are counted and need as many stops
+     */
+    start(component, { element = null, label = '' } = {}) {
+        const busy = this.active.get(component);
+        if (busy) {
+            busy.count++;
+            return;
+        }
+
+        const state = { count: 1, element, label, html: null, busyHtml: null, wasDisabled: false };
+        if (element) {
+            state.html = element.innerHTML;
+            state.wasDisabled = element.disabled;
+            element.innerHTML = `
+                <span class="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2 inline-block"></span>
+                <span></span>
+            `;
+            element.lastElementChild.textContent = label;
+            state.busyHtml = element.innerHTML;
+            element.disabled = true;
+            element.setAttribute('aria-busy', 'true');
+        }
+        this.active.set(component, state);
+        this.notifyListeners(component, true);
+    }
+
+    /**
+     * Clear one start of a component; the last one restores its element
+     */
+    stop(component) {
+        const state = this.active.get(component);
+        if (!state || --state.count > 0) return;
+
+        this.active.delete(component);
+        const { element } = state;
+        if (element) {
+            // Content re-rendered while busy (e.g. to "Connected") is newer than what was saved
+            if (element.innerHTML === state.busyHtml) element.innerHTML = state.html;
+            element.disabled = state.wasDisabled;
+            element.removeAttribute('aria-busy');
+        }
+        this.notifyListeners(component, false);
+    }
+
+    /**
+     * Whether a component is busy
+     */
+    isBusy(component) {
+        return this.active.has(component);
+    }
+
+    /**
+     * Call listener(component, busy) when a component starts or stops being busy;
+     * returns an unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notifyListeners(component, busy) {
+        this.listeners.forEach(listener => listener(component, busy));
+    }
+}
+
+// Export for use
+window.NotificationCenter = NotificationCenter;
+window.LoadingState = LoadingState;
@@ -0,0 +1,158 @@
+/**
+ * VorteX Portfolio
+ * Every registered token balance and Torus LP position of an account, read in
+ * one batched query and valued in CVX at Torus market prices, with the change since
+ * the last visit from a snapshot saved in localStorage
+ */
+const PORTFOLIO_STORAGE_KEY = 'vortex_portfolio';
+
+class Portfolio {
+    constructor(convexClient, tokenRegistry, storage = window.localStorage) {
+        this.client = convexClient;
+        this.registry = tokenRegistry;
+        this.storage = storage;
+        // Snapshot each account had when first loaded this session
+        this.baselines = new Map();
+    }
+
+    /**
+     * Read saved snapshots, keyed by account address
+     */
+    loadSnapshots() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(PORTFOLIO_STORAGE_KEY));
+            if (saved && typeof saved === 'object' && !Array.isArray(saved)) return saved;
+        } catch (error) {
+            console.error('Failed to read portfolio snapshots:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Save an account's current totals for the next visit
+     */
+    saveSnapshot(address, summary) {
+        const snapshots = this.loadSnapshots();
+        snapshots[address] = {
+            timestamp: new Date(summary.timestamp).toISOString(),
+            totalCvx: summary.totalCvx.toString(),
+            holdings: Object.fromEntries(summary.holdings.map(holding => [holding.id, holding.valueCvx.toString()]))
+        };
+        this.storage.setItem(PORTFOLIO_STORAGE_KEY, JSON.stringify(snapshots));
+    }
+
+    /**
+     * Balances, market reserves and LP shares for every registered token, in one query
+     */
+    async read(owner) {
+        const account = Cvm.address(owner);
+        const [cvxBalance, ...tokens] = await this.client.read([
+            Cvm.source`(str (balance ${account}))`,
+            ...this.registry.tokens.map(token => {
+                const address = Cvm.address(token.address);
+                return Cvm.source`(let [m (torus/get-market ${address})]
+                    [(str (fun/balance ${address} ${account}))
+                     (when m [m (str (balance m)) (str (fun/balance ${address} m))
+                              (str (fun/balance m ${account})) (str (call m (total-supply)))])])`;
+            })
+        ]);
+
+        return {
+            cvxBalance: Amount.toBigInt(cvxBalance),
+            tokens: this.registry.tokens.map((token, index) => {
+                const [balance, market] = tokens[index] || [0, null];
+                return {
+                    address: token.address,
+                    balance: Amount.toBigInt(balance),
+                    position: market ? TorusLiquidity.describe({
+                        token: token.address,
+                        market: ConvexClient.formatAddress(market[0]),
+                        cvxReserve: Amount.toBigInt(market[1]),
+                        tokenReserve: Amount.toBigInt(market[2]),
+                        shares: Amount.toBigInt(market[3]),
+                        totalShares: Amount.toBigInt(market[4])
+                    }) : null
+                };
+            })
+        };
+    }
+
+    /**
+     * Token amount valued in CVX base units at its market's mid price (0 without a market)
+     */
+    static valueInCvx(amount, position) {
+        if (!position || position.tokenReserve === 0n) return 0n;
+        return BigInt(amount) * position.cvxReserve / position.tokenReserve;
+    }
+
+    /**
+     * Holdings valued in CVX with allocation, total and change since the last visit
+     */
+    async load(owner) {
+        const { cvxBalance, tokens } = await this.read(owner);
+
+        const holdings = [{ id: 'CVX', kind: 'coin', address: null, balance: cvxBalance, valueCvx: cvxBalance, priced: true }];
+        tokens.forEach(({ address, balance, position }) => {
+            if (balance > 0n) {
+                holdings.push({
+                    id: address,
+                    kind: 'token',
+                    address,
+                    balance,
+                    valueCvx: Portfolio.valueInCvx(balance, position),
+                    // Tokens without a market (or an empty one) can't be priced
+                    priced: Boolean(position && position.tokenReserve > 0n)
+                });
+            }
+            if (position && position.shares > 0n) {
+                holdings.push({
+                    id: `LP:${address}`,
+                    kind: 'lp',
+                    address,
+                    balance: position.shares,
+                    position,
+                    valueCvx: position.underlyingCvx + Portfolio.valueInCvx(position.underlyingTokens, position),
+                    priced: true
+                });
+            }
+        });
+
+        const totalCvx = holdings.reduce((sum, holding) => sum + holding.valueCvx, 0n);
+        holdings.forEach(holding => {
+            holding.allocation = totalCvx > 0n ? Number(holding.valueCvx * 1000000n / totalCvx) / 1000000 : 0;
+        });
+        holdings.sort((a, b) => (b.valueCvx > a.valueCvx ? 1 : b.valueCvx < a.valueCvx ? -1 : 0));
+
+        const summary = { address: owner, timestamp: Date.now(), holdings, totalCvx };
+
+        // Compare with the snapshot from the previous visit, then save this one for the next
+        if (!this.baselines.has(owner)) {
+            this.baselines.set(owner, this.loadSnapshots()[owner] || null);
+        }
+        summary.change = Portfolio.change(summary, this.baselines.get(owner));
+        this.saveSnapshot(owner, summary);
+        return summary;
+    }
+
+    /**
+     * Difference from a saved snapshot, overall and per holding (null without one)
+     */
+    static change(summary, snapshot) {
+        if (!snapshot) return null;
+        const previous = BigInt(snapshot.totalCvx);
+        const delta = summary.totalCvx - previous;
+        summary.holdings.forEach(holding => {
+            const before = snapshot.holdings ? snapshot.holdings[holding.id] : undefined;
+            holding.changeCvx = before === undefined ? null : holding.valueCvx - BigInt(before);
+        });
+        return {
+            since: snapshot.timestamp,
+            previousCvx: previous,
+            deltaCvx: delta,
+            percent: previous > 0n ? Number(delta * 1000000n / previous) / 1000000 : null
+        };
+    }
+}
+
+// Export for use
+window.Portfolio = Portfolio;
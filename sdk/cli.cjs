@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+/**
+ * VorteX CLI
+ * Balances, quotes, swaps, liquidity and history from scripts: every command
+ * prints one JSON document on stdout (errors too, with a non-zero exit code)
+ */
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { Vortex, FileStorage, Amount, ConvexClient, ConvexError, TokenRegistry, TorusLiquidity, setLogger } = require('./index.cjs');
+
+const USAGE = `Usage: vortex <command> [arguments] [options]
+
+Commands:
+  balance [token...]              CVX and registered token balances of an account
+  quote <amount> <from> <to>      Best Torus route for selling <amount> of <from>
+  swap <amount> <from> <to>       Quote, then swap with the slippage bound enforced on-chain
+  add-liquidity <amount> <token>  Deposit tokens and the matching CVX into the token's market
+  history                         Transactions signed with this storage file, newest first
+
+Tokens are CVX, a registered symbol or a #address. Amounts are in display units ("1.5").
+
+Options:
+  --network <id>       mainnet (default), testnet or local
+  --peer <url>         Use this peer instead of the network's own (repeatable)
+  --address <#addr>    Account to read, or the account VORTEX_SEED controls
+  --keystore <file>    Exported VorteX keystore, unlocked with VORTEX_PASSPHRASE
+  --account <name>     Keystore account to use (default: the first)
+  --exact-output       quote/swap: <amount> is what to receive
+  --slippage <bps>     quote/swap: slippage tolerance in basis points (default 50)
+  --cvx <amount>       add-liquidity: CVX to deposit (default: the market's current ratio)
+  --dry-run            swap/add-liquidity: simulate on the peer, sign nothing
+  --status <status>    history: confirmed or failed
+  --type <type>        history: swap, add-liquidity, ...
+  --token <token>      history: only transactions involving this token
+  --storage <file>     Token list and history (default ~/.vortex/storage.json)
+  --verbose            Log progress to stderr
+
+Environment:
+  VORTEX_SEED          Hex Ed25519 seed to sign with (with VORTEX_ADDRESS, or looked up)
+  VORTEX_ADDRESS       Account address for VORTEX_SEED, or to read without a key
+  VORTEX_KEYSTORE      Same as --keystore
+  VORTEX_PASSPHRASE    Keystore passphrase
+  VORTEX_NETWORK       Same as --network
+  VORTEX_STORAGE       Same as --storage`;
+
+const OPTIONS = {
+    network: { type: 'string' },
+    peer: { type: 'string', multiple: true },
+    address: { type: 'string' },
+    keystore: { type: 'string' },
+    account: { type: 'string' },
+    'exact-output': { type: 'boolean' },
+    slippage: { type: 'string' },
+    cvx: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    status: { type: 'string' },
+    type: { type: 'string' },
+    token: { type: 'string' },
+    storage: { type: 'string' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * JSON with BigInt amounts as strings, so nothing loses precision
+ */
+function print(value) {
+    process.stdout.write(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2) + '\n');
+}
+
+/**
+ * A base-unit amount with its token and display form
+ */
+function amountOf(value, token) {
+    return {
+        token: token.address,
+        symbol: token.symbol,
+        amount: value,
+        formatted: Amount.formatUnits(value, token.decimals)
+    };
+}
+
+/**
+ * Sign in from a keystore file or VORTEX_SEED; null when neither is given and none is required
+ */
+async function signIn(vortex, options, required = true) {
+    const keystore = options.keystore || process.env.VORTEX_KEYSTORE;
+    if (keystore) {
+        const passphrase = process.env.VORTEX_PASSPHRASE;
+        if (!passphrase) {
+            throw new Error('Set VORTEX_PASSPHRASE to unlock the keystore');
+        }
+        return vortex.useKeystore(fs.readFileSync(keystore, 'utf8'), passphrase, options.account || null);
+    }
+    if (process.env.VORTEX_SEED) {
+        return vortex.useSeed(process.env.VORTEX_SEED, options.address || process.env.VORTEX_ADDRESS || null);
+    }
+    if (required) {
+        throw new Error('No key given: set VORTEX_SEED (and VORTEX_ADDRESS), or --keystore with VORTEX_PASSPHRASE');
+    }
+    return null;
+}
+
+/**
+ * Account to read: --address or VORTEX_ADDRESS, else the signing account
+ */
+async function readAddress(vortex, options) {
+    const address = options.address || process.env.VORTEX_ADDRESS;
+    if (address) return address;
+    const account = await signIn(vortex, options, false);
+    if (!account) {
+        throw new Error('Give an account with --address, VORTEX_ADDRESS or a key');
+    }
+    return account.address;
+}
+
+/**
+ * Run a signing step; with --dry-run, simulate it at review and cancel before signing
+ */
+async function signOrSimulate(vortex, options, action) {
+    if (!options['dry-run']) {
+        return { dryRun: false, result: await action() };
+    }
+
+    let simulation = null;
+    vortex.client.setReviewer(event => {
+        simulation = event.simulation;
+        return false;
+    });
+    try {
+        await action();
+    } catch (error) {
+        if (error.code !== 'CANCELLED' || !simulation) throw error;
+    }
+    return {
+        dryRun: true,
+        simulation: simulation.ok
+            ? { ok: true, value: simulation.value, changes: simulation.changes, juice: simulation.juice, fee: simulation.fee }
+            : { ok: false, error: describe(simulation.error), juice: simulation.juice }
+    };
+}
+
+/**
+ * A quote's amounts, bound and route with token symbols
+ */
+function describeQuote(quote, from, to, vortex) {
+    return {
+        from: from.symbol,
+        to: to.symbol,
+        exactOutput: Boolean(quote.exactOutput),
+        amountIn: amountOf(quote.amountIn, from),
+        amountOut: amountOf(quote.amountOut, to),
+        ...(quote.exactOutput
+            ? { maximumInput: amountOf(quote.maximumInput, from) }
+            : { minimumOutput: amountOf(quote.minimumOutput, to) }),
+        slippageBps: quote.slippageBps,
+        priceImpact: quote.priceImpact,
+        totalFee: quote.totalFee,
+        path: quote.path.map(address => vortex.router.symbol(address))
+    };
+}
+
+/**
+ * Resolve the tokens and amount of a quote/swap command line and quote it with its bound
+ */
+async function quoteCommand(vortex, args, options) {
+    const [amountText, fromQuery, toQuery] = args;
+    if (!toQuery) {
+        throw new Error('Usage: vortex quote <amount> <from> <to>');
+    }
+    const from = await vortex.resolveToken(fromQuery);
+    const to = await vortex.resolveToken(toQuery);
+    const slippageBps = options.slippage === undefined ? undefined : Number(options.slippage);
+
+    const amounts = options['exact-output']
+        ? { amountOut: Amount.parseUnits(amountText, to.decimals, to.symbol) }
+        : { amountIn: Amount.parseUnits(amountText, from.decimals, from.symbol) };
+    const quote = await vortex.swap.quote(from.address, to.address, amounts, slippageBps);
+    return { quote, from, to };
+}
+
+const COMMANDS = {
+    async balance(vortex, args, options) {
+        const address = await readAddress(vortex, options);
+        const wanted = args.length > 0
+            ? await Promise.all(args.map(query => vortex.resolveToken(query)))
+            : [TokenRegistry.CVX, ...(await Promise.all(vortex.registry.tokens.map(token => vortex.registry.refresh(token.address))))];
+
+        const balances = await vortex.registry.getBalances(address);
+        return {
+            address,
+            balances: wanted.map(token => amountOf(balances.get(token.address) ?? 0n, token))
+        };
+    },
+
+    async quote(vortex, args, options) {
+        const { quote, from, to } = await quoteCommand(vortex, args, options);
+        return describeQuote(quote, from, to, vortex);
+    },
+
+    async swap(vortex, args, options) {
+        const account = await signIn(vortex, options);
+        const { quote, from, to } = await quoteCommand(vortex, args, options);
+        const outcome = await signOrSimulate(vortex, options, () => vortex.swap.execute(quote));
+        return {
+            address: account.address,
+            quote: describeQuote(quote, from, to, vortex),
+            ...(outcome.dryRun ? outcome : {
+                dryRun: false,
+                paid: amountOf(outcome.result.amountIn, from),
+                received: amountOf(outcome.result.amountOut, to)
+            })
+        };
+    },
+
+    async 'add-liquidity'(vortex, args, options) {
+        const [amountText, tokenQuery] = args;
+        if (!tokenQuery) {
+            throw new Error('Usage: vortex add-liquidity <amount> <token> [--cvx <amount>]');
+        }
+        const account = await signIn(vortex, options);
+        const token = await vortex.resolveToken(tokenQuery);
+        if (!token.address) {
+            throw new Error('Give the token to pair with CVX');
+        }
+
+        const position = await vortex.liquidity.getPosition(token.address, account.address);
+        if (!position) {
+            throw new Error(`${token.symbol} has no Torus market yet; create one in the app first`);
+        }
+        const tokenAmount = Amount.parseUnits(amountText, token.decimals, token.symbol);
+        const cvxAmount = options.cvx === undefined
+            ? TorusLiquidity.cvxForTokens(position, tokenAmount)
+            : Amount.parseUnits(options.cvx, TokenRegistry.CVX.decimals, 'CVX');
+
+        const outcome = await signOrSimulate(vortex, options,
+            () => vortex.liquidity.addLiquidity(token.address, tokenAmount, cvxAmount));
+        return {
+            address: account.address,
+            market: position.market,
+            deposited: [amountOf(tokenAmount, token), amountOf(cvxAmount, TokenRegistry.CVX)],
+            expectedShares: TorusLiquidity.sharesForDeposit(position, tokenAmount),
+            ...(outcome.dryRun ? outcome : { dryRun: false, shares: outcome.result.value })
+        };
+    },
+
+    async history(vortex, args, options) {
+        const address = await readAddress(vortex, options);
+        const token = options.token ? (await vortex.resolveToken(options.token)).address : '';
+        return {
+            address,
+            transactions: vortex.history.list(address, {
+                status: options.status || '',
+                type: options.type || '',
+                token
+            })
+        };
+    }
+};
+
+/**
+ * Error details a script can act on
+ */
+function describe(error) {
+    return error instanceof ConvexError
+        ? { message: error.message, code: error.code, explanation: error.explanation, fix: error.fix, retryable: error.retryable }
+        : { message: error.message };
+}
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...args] = positionals;
+    if (options.help || !command) {
+        process.stdout.write(USAGE + '\n');
+        return 0;
+    }
+    if (!COMMANDS[command]) {
+        throw new Error(`Unknown command "${command}" (try vortex --help)`);
+    }
+    if (!options.verbose) setLogger(null);
+
+    const network = options.network || process.env.VORTEX_NETWORK || ConvexClient.DEFAULT_NETWORK;
+    if (!ConvexClient.NETWORKS[network]) {
+        throw new Error(`Unknown network "${network}" (${Object.keys(ConvexClient.NETWORKS).join(', ')})`);
+    }
+
+    const storageFile = options.storage || process.env.VORTEX_STORAGE || path.join(os.homedir(), '.vortex', 'storage.json');
+    const vortex = await Vortex.connect({
+        network,
+        peers: options.peer || null,
+        storage: new FileStorage(storageFile)
+    });
+    try {
+        print({ command, network: vortex.network.id, peer: vortex.client.peerUrl, ...(await COMMANDS[command](vortex, args, options)) });
+        return 0;
+    } finally {
+        vortex.close();
+    }
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    error => {
+        print({ error: describe(error) });
+        process.exitCode = 1;
+    }
+);
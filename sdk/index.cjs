@@ -0,0 +1,206 @@
+/**
+ * VorteX Node SDK
+ * Loads the page's own modules (client, signer, Torus quote/route/swap,
+ * liquidity, keystore, history) into one module scope for Node 18+, so bots
+ * and scripts run the same code path as the UI
+ */
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { Console } = require('node:console');
+const nacl = require('tweetnacl');
+
+// Shared with the page, in index.html's load order; they refer to each other as globals
+const MODULES = [
+    'amounts.js',
+    'cvm-source.js',
+    'convex-client.js',
+    'torus-quote.js',
+    'torus-router.js',
+    'torus-swap.js',
+    'wallet-manager.js',
+    'keystore.js',
+    'token-registry.js',
+    'torus-liquidity.js',
+    'tx-history.js',
+    'limit-orders.js',
+    'portfolio.js',
+    'subscriptions.js'
+];
+
+// The modules log progress with emoji; that goes to stderr so stdout stays clean for output
+let logger = new Console({ stdout: process.stderr, stderr: process.stderr });
+const moduleConsole = Object.fromEntries(['log', 'info', 'warn', 'error', 'debug'].map(level => [
+    level,
+    (...args) => logger && logger[level](...args)
+]));
+
+/**
+ * Send the modules' logs somewhere else (any console-like object), or pass null to silence them
+ */
+function setLogger(target) {
+    logger = target;
+}
+
+/**
+ * Evaluate every module in one function scope, as the page does in one global scope
+ */
+function loadModules() {
+    const root = path.join(__dirname, '..');
+    const source = MODULES
+        .map(file => `// ---- ${file}\n${fs.readFileSync(path.join(root, file), 'utf8')}`)
+        .join('\n');
+    const run = vm.runInThisContext(`(function (window, nacl, crypto, console) {\n${source}\n})`, {
+        filename: path.join(root, 'vortex-modules.js')
+    });
+
+    // Each module ends with window.X = X, which fills in this object
+    const modules = {};
+    run(modules, nacl, globalThis.crypto || require('node:crypto').webcrypto, moduleConsole);
+    return modules;
+}
+
+const modules = loadModules();
+const { ConvexClient, Keystore, TokenRegistry, TorusQuoteEngine, TorusRouter, TorusSwap,
+    TorusLiquidity, TransactionHistory, Portfolio, WalletManager } = modules;
+
+/**
+ * localStorage stand-in kept in memory
+ */
+class MemoryStorage {
+    constructor(items = {}) {
+        this.items = { ...items };
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+        this.save();
+    }
+
+    removeItem(key) {
+        delete this.items[key];
+        this.save();
+    }
+
+    save() {}
+}
+
+/**
+ * localStorage stand-in saved as a JSON file (token list, history, portfolio snapshots)
+ */
+class FileStorage extends MemoryStorage {
+    constructor(file) {
+        super(FileStorage.read(file));
+        this.file = file;
+    }
+
+    static read(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw new Error(`Cannot read storage file ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write through a temporary file so a crash never leaves half a file
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.items, null, 2), { mode: 0o600 });
+        fs.renameSync(temporary, this.file);
+    }
+}
+
+/**
+ * One network's client with the registry, router, swap, liquidity and history wired
+ * together the way the page wires them
+ */
+class Vortex {
+    constructor({ network = ConvexClient.DEFAULT_NETWORK, peers = null, storage = new MemoryStorage() } = {}) {
+        this.network = ConvexClient.network(network);
+        this.storage = storage;
+        this.client = new ConvexClient(peers || this.network.peers);
+        this.wallet = new WalletManager(this.client);
+        this.registry = new TokenRegistry(this.client, storage);
+        this.quoteEngine = new TorusQuoteEngine(this.client);
+        this.router = new TorusRouter(this.quoteEngine, this.registry);
+        this.swap = new TorusSwap(this.router, this.client);
+        this.liquidity = new TorusLiquidity(this.client);
+        this.portfolio = new Portfolio(this.client, this.registry, storage);
+        this.history = new TransactionHistory(storage);
+        this.history.attach(this.client);
+    }
+
+    /**
+     * Create and connect to the first healthy peer
+     */
+    static async connect(options = {}) {
+        const vortex = new Vortex(options);
+        await vortex.client.initialize();
+        return vortex;
+    }
+
+    /**
+     * Sign as the account controlled by a hex seed (address looked up by public key if omitted)
+     */
+    async useSeed(seedHex, address = null, name = 'default') {
+        await this.wallet.importAccount(name, seedHex, address);
+        return this.useAccount(name);
+    }
+
+    /**
+     * Sign with accounts from an exported keystore file body; the first unless one is named
+     */
+    async useKeystore(json, passphrase, name = null) {
+        const accounts = await new Keystore(new MemoryStorage()).importFile(json, passphrase);
+        if (accounts.length === 0) {
+            throw new Error('The keystore holds no accounts');
+        }
+        accounts.forEach(account => this.wallet.restoreAccount(account.name, account.address, account.seed));
+        return this.useAccount(name || accounts[0].name);
+    }
+
+    /**
+     * Make an imported account the one the client signs for
+     */
+    useAccount(name) {
+        const account = this.wallet.switchAccount(name);
+        this.client.setAddress(account.address);
+        this.client.setSigner(this.wallet.getSigner());
+        return account;
+    }
+
+    /**
+     * Token (or CVX) by symbol or address, with decimals and market fresh from the chain.
+     * An unregistered #address is registered on first use.
+     */
+    async resolveToken(query) {
+        const wanted = String(query).trim();
+        if (wanted.toUpperCase() === 'CVX') return TokenRegistry.CVX;
+
+        const token = this.registry.tokens.find(item => item.address === wanted
+            || item.symbol.toLowerCase() === wanted.toLowerCase());
+        if (token) return this.registry.refresh(token.address);
+        if (TokenRegistry.isAddress(wanted)) return this.registry.addToken(wanted);
+        throw new Error(`Unknown token "${wanted}": use CVX, a registered symbol or a #address`);
+    }
+
+    /**
+     * Wipe keys from memory and close the client
+     */
+    close() {
+        this.wallet.clear();
+        this.client.close();
+    }
+}
+
+module.exports = { ...modules, Vortex, MemoryStorage, FileStorage, setLogger };
@@ -0,0 +1,38 @@
+/**
+ * VorteX Node SDK, ES module entry (the modules are loaded once, by index.cjs)
+ */
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const sdk = require('./index.cjs');
+
+export const {
+    Amount,
+    Cvm,
+    CvmValue,
+    ConvexClient,
+    Ed25519Signer,
+    CallbackSigner,
+    ConvexError,
+    NetworkError,
+    PeerTimeoutError,
+    HttpError,
+    CvmError,
+    TorusQuoteEngine,
+    TorusRouter,
+    TorusSwap,
+    WalletManager,
+    Keystore,
+    TokenRegistry,
+    TorusLiquidity,
+    TransactionHistory,
+    LimitOrderEngine,
+    Portfolio,
+    Subscriptions,
+    Vortex,
+    MemoryStorage,
+    FileStorage,
+    setLogger
+} = sdk;
+
+export default sdk;
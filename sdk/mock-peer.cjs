@@ -0,0 +1,934 @@
+/**
+ * VorteX Mock Convex Peer
+ * An in-process HTTP peer for tests and offline development. It speaks the REST
+ * endpoints ConvexClient uses and runs the subset of Convex Lisp that VorteX
+ * sends against a simulated chain: CVX balances, sequence numbers, fungible
+ * tokens and Torus constant-product markets, with juice fees and Convex error
+ * codes (FUNDS, JUICE, SEQUENCE, SIGNATURE, ...). Submitted transactions are
+ * checked against the account key with tweetnacl, as on a real peer.
+ */
+'use strict';
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const nacl = require('tweetnacl');
+
+// Torus fee on the input of every swap
+const TORUS_FEE_BPS = 30n;
+const BPS = 10000n;
+
+// Juice: a base cost per transaction plus a step per evaluated form, paid at JUICE_PRICE
+const JUICE_PRICE = 2n;
+const BASE_JUICE = 1000n;
+const STEP_JUICE = 10n;
+const JUICE_LIMIT = 1000000n;
+
+// Accounts below this exist from genesis (#12 is the demo account ConvexClient falls back to)
+const GENESIS_ACCOUNTS = 13;
+
+/**
+ * A CVM error: becomes {errorCode, value} in the peer's response
+ */
+class CvmFailure extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+class Keyword {
+    static table = new Map();
+
+    // Interned, so keywords can be Map keys
+    static of(name) {
+        if (!Keyword.table.has(name)) Keyword.table.set(name, new Keyword(name));
+        return Keyword.table.get(name);
+    }
+
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+class Sym {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+class Address {
+    constructor(number) {
+        this.number = Number(number);
+    }
+}
+
+class Blob {
+    constructor(hex) {
+        this.hex = hex.toLowerCase();
+    }
+}
+
+// A (list ...) form, as opposed to a [vector]
+class List {
+    constructor(items) {
+        this.items = items;
+    }
+}
+
+// Rebinding request from (recur ...) back to the enclosing (loop ...)
+class Recur {
+    constructor(values) {
+        this.values = values;
+    }
+}
+
+const TOKEN_PATTERN = /"(?:\\.|[^"\\])*"|[()[\]{}]|[^\s,()[\]{}"]+/g;
+
+/**
+ * Read Convex Lisp source into forms
+ */
+function readForms(source) {
+    const tokens = String(source).replace(/;[^\n]*/g, '').match(TOKEN_PATTERN) || [];
+    let position = 0;
+
+    const readForm = () => {
+        if (position >= tokens.length) throw new CvmFailure('SYNTAX', 'Unexpected end of source');
+        const token = tokens[position++];
+        const closers = { '(': ')', '[': ']', '{': '}' };
+        if (closers[token]) {
+            const items = [];
+            while (tokens[position] !== closers[token]) {
+                if (position >= tokens.length) throw new CvmFailure('SYNTAX', `Missing ${closers[token]}`);
+                items.push(readForm());
+            }
+            position++;
+            if (token === '(') return new List(items);
+            if (token === '[') return items;
+            if (items.length % 2 !== 0) throw new CvmFailure('SYNTAX', 'Map literal needs key/value pairs');
+            return { mapLiteral: items };
+        }
+        if (token === ')' || token === ']' || token === '}') throw new CvmFailure('SYNTAX', `Unexpected ${token}`);
+        return readAtom(token);
+    };
+
+    const forms = [];
+    while (position < tokens.length) forms.push(readForm());
+    return forms;
+}
+
+function readAtom(token) {
+    if (token.startsWith('"')) {
+        return token.slice(1, -1).replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t', r: '\r' })[char] || char);
+    }
+    if (/^-?\d+$/.test(token)) return BigInt(token);
+    if (/^#\d+$/.test(token)) return new Address(token.slice(1));
+    if (/^0x[0-9a-fA-F]*$/.test(token)) return new Blob(token.slice(2));
+    if (token === 'nil') return null;
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token.startsWith(':')) return Keyword.of(token.slice(1));
+    return new Sym(token);
+}
+
+/**
+ * CVM value as the JSON text a peer would send (integers as exact number literals)
+ */
+function toJson(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (value instanceof Address) return JSON.stringify(`#${value.number}`);
+    if (value instanceof Keyword) return JSON.stringify(`:${value.name}`);
+    if (value instanceof Blob) return JSON.stringify(`0x${value.hex}`);
+    if (Array.isArray(value)) return `[${value.map(toJson).join(',')}]`;
+    if (value instanceof Map) {
+        const pairs = [...value].map(([key, item]) => {
+            const name = key instanceof Keyword ? key.name : typeof key === 'string' ? key : toJson(key);
+            return `${JSON.stringify(name)}:${toJson(item)}`;
+        });
+        return `{${pairs.join(',')}}`;
+    }
+    return JSON.stringify(String(value));
+}
+
+function equal(a, b) {
+    if (a instanceof Address && b instanceof Address) return a.number === b.number;
+    if (a instanceof Blob && b instanceof Blob) return a.hex === b.hex;
+    if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, i) => equal(item, b[i]));
+    return a === b;
+}
+
+function integer(value, name = 'value') {
+    if (typeof value !== 'bigint') throw new CvmFailure('CAST', `Expected an integer for ${name}`);
+    return value;
+}
+
+function amount(value, name = 'amount') {
+    if (integer(value, name) < 0n) throw new CvmFailure('ARGUMENT', `Negative ${name}`);
+    return value;
+}
+
+function address(value, name = 'address') {
+    if (!(value instanceof Address)) throw new CvmFailure('CAST', `Expected an address for ${name}`);
+    return value.number;
+}
+
+function display(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string') return value;
+    if (value instanceof Address) return `#${value.number}`;
+    if (value instanceof Keyword) return `:${value.name}`;
+    if (value instanceof Blob) return `0x${value.hex}`;
+    if (Array.isArray(value)) return `[${value.map(display).join(' ')}]`;
+    return String(value);
+}
+
+class MockPeer {
+    constructor({ juicePrice = JUICE_PRICE } = {}) {
+        this.juicePrice = BigInt(juicePrice);
+        // accounts: number -> {balance, key, sequence}; tokens: number -> {decimals, supply, balances, metadata};
+        // markets: token number -> market number (each market is also the fungible LP token)
+        this.state = { accounts: new Map(), tokens: new Map(), markets: new Map() };
+        for (let i = 0; i < GENESIS_ACCOUNTS; i++) {
+            this.state.accounts.set(i, { balance: 0n, key: null, sequence: 0 });
+        }
+        this.prepared = new Map();
+        this.faults = [];
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+    }
+
+    // ---- Setting up the chain
+
+    /**
+     * Add a user account (publicKey as hex, or none for a keyless account); returns "#NNN"
+     */
+    addAccount({ balance = 0n, publicKey = null } = {}) {
+        const number = this.state.accounts.size;
+        this.state.accounts.set(number, {
+            balance: BigInt(balance),
+            key: publicKey ? publicKey.replace(/^0x/, '').toLowerCase() : null,
+            sequence: 0
+        });
+        return `#${number}`;
+    }
+
+    /**
+     * Deploy a fungible token with its whole supply held by one account; returns "#NNN"
+     */
+    addToken({ supply, holder, decimals = 0, metadata = null }) {
+        const number = this.state.accounts.size;
+        this.state.accounts.set(number, { balance: 0n, key: null, sequence: 0 });
+        this.state.tokens.set(number, {
+            decimals,
+            supply: BigInt(supply),
+            balances: new Map([[MockPeer.number(holder), BigInt(supply)]]),
+            metadata
+        });
+        return `#${number}`;
+    }
+
+    /**
+     * Create a Torus market for a token seeded by a provider's deposit; returns the market "#NNN"
+     */
+    addMarket(token, { provider, tokens, cvx }) {
+        return this.run(MockPeer.number(provider), state => {
+            const market = this.createMarket(state, MockPeer.number(token));
+            this.addLiquidity(state, MockPeer.number(provider), MockPeer.number(token), BigInt(tokens), BigInt(cvx));
+            return `#${market}`;
+        });
+    }
+
+    /**
+     * CVX balance, or a token balance when a token is given
+     */
+    balance(owner, token = null) {
+        const number = MockPeer.number(owner);
+        if (!token) return this.state.accounts.get(number)?.balance ?? 0n;
+        return this.state.tokens.get(MockPeer.number(token))?.balances.get(number) ?? 0n;
+    }
+
+    /**
+     * A market's {cvxReserve, tokenReserve, supply}
+     */
+    reserves(token) {
+        const market = this.state.markets.get(MockPeer.number(token));
+        return {
+            cvxReserve: this.state.accounts.get(market).balance,
+            tokenReserve: this.tokenBalance(this.state, MockPeer.number(token), market),
+            supply: this.state.tokens.get(market).supply
+        };
+    }
+
+    /**
+     * An account's sequence number (the number of transactions it has run)
+     */
+    sequence(owner) {
+        return this.state.accounts.get(MockPeer.number(owner)).sequence;
+    }
+
+    /**
+     * Move an account's sequence on, as if another client had used it
+     */
+    setSequence(owner, sequence) {
+        this.state.accounts.get(MockPeer.number(owner)).sequence = sequence;
+    }
+
+    /**
+     * Make the next matching requests misbehave: delay them, or answer with a given status and
+     * raw body instead of handling them. path matches the start of the request path.
+     */
+    inject({ path, status = 200, body = undefined, delayMs = 0, times = 1 }) {
+        this.faults.push({ path, status, body, delayMs, times });
+    }
+
+    /**
+     * Requests received for a path (all of them without one)
+     */
+    requestsTo(path = '') {
+        return this.requests.filter(request => request.path.startsWith(path));
+    }
+
+    static number(value) {
+        if (typeof value === 'number') return value;
+        return Number(String(value).replace(/^#/, ''));
+    }
+
+    // ---- HTTP
+
+    /**
+     * Listen on a local port (a free one by default); resolves with the peer URL
+     */
+    async start(port = 0) {
+        this.server = http.createServer((request, response) => this.handle(request, response));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', resolve);
+        });
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        if (!this.server) return;
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    async handle(request, response) {
+        // The page calls the peer from another origin
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        if (request.method === 'OPTIONS') return this.send(response, 204, '');
+
+        let raw = '';
+        for await (const chunk of request) raw += chunk;
+        const path = request.url;
+        let body = null;
+        try {
+            body = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            return this.send(response, 400, JSON.stringify({ errorCode: 'FORMAT', value: 'Body is not JSON' }));
+        }
+        this.requests.push({ method: request.method, path, body });
+
+        const fault = this.faults.find(item => path.startsWith(item.path) && item.times > 0);
+        if (fault) {
+            fault.times--;
+            // A delayed request is still handled, like a slow peer the client has given up on
+            if (fault.delayMs) await new Promise(resolve => setTimeout(resolve, fault.delayMs));
+            if (fault.body !== undefined) return this.send(response, fault.status, fault.body);
+        }
+
+        try {
+            const [status, result] = this.route(request.method, path, body || {});
+            this.send(response, status, result);
+        } catch (error) {
+            this.send(response, 500, JSON.stringify({ errorCode: 'FATAL', value: error.message }));
+        }
+    }
+
+    send(response, status, text) {
+        if (response.destroyed) return;
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(text);
+    }
+
+    /**
+     * Answer one endpoint: [status, JSON text]
+     */
+    route(method, path, body) {
+        const accountMatch = /^\/api\/v1\/accounts\/(\d+)$/.exec(path);
+        if (method === 'GET' && accountMatch) return this.accountInfo(Number(accountMatch[1]));
+        if (method !== 'POST') return [404, JSON.stringify({ errorCode: 'NOT_FOUND', value: path })];
+
+        switch (path) {
+        case '/api/v1/query': return [200, this.query(body.source, body.address)];
+        case '/api/v1/transaction/prepare': return this.prepare(body);
+        case '/api/v1/transaction/submit': return this.submit(body);
+        case '/api/v1/createAccount': return [200, JSON.stringify({ address: Number(this.addAccount({ publicKey: body.accountKey }).slice(1)) })];
+        case '/api/v1/faucet': return this.faucet(body);
+        default: return [404, JSON.stringify({ errorCode: 'NOT_FOUND', value: path })];
+        }
+    }
+
+    accountInfo(number) {
+        const account = this.state.accounts.get(number);
+        if (!account) return [404, JSON.stringify({ errorCode: 'NOBODY', value: `No account #${number}` })];
+        return [200, JSON.stringify({
+            address: number,
+            sequence: account.sequence,
+            balance: Number(account.balance),
+            key: account.key,
+            type: account.key ? 'user' : 'actor'
+        })];
+    }
+
+    faucet(body) {
+        const number = MockPeer.number(body.address);
+        const account = this.state.accounts.get(number);
+        if (!account) return [404, JSON.stringify({ errorCode: 'NOBODY', value: `No account ${body.address}` })];
+        const coins = BigInt(body.amount);
+        account.balance += coins;
+        return [200, JSON.stringify({ address: number, amount: Number(coins), value: Number(coins) })];
+    }
+
+    /**
+     * Read-only evaluation: runs on a copy of the chain that is then thrown away
+     */
+    query(source, caller) {
+        const state = structuredClone(this.state);
+        const context = this.context(state, caller);
+        try {
+            let value = null;
+            for (const form of readForms(source)) value = this.evaluate(form, new Map(), context);
+            return `{"value":${toJson(value)},"info":{"juice":${context.juice}}}`;
+        } catch (error) {
+            return this.failure(error, context.juice);
+        }
+    }
+
+    prepare({ address: caller, source, sequence }) {
+        const number = MockPeer.number(caller);
+        const account = this.state.accounts.get(number);
+        if (!account) return [404, JSON.stringify({ errorCode: 'NOBODY', value: `No account ${caller}` })];
+
+        const next = Number.isInteger(sequence) ? sequence : account.sequence + 1;
+        const hash = crypto.createHash('sha256').update(JSON.stringify([number, next, String(source)])).digest('hex');
+        this.prepared.set(hash, { number, sequence: next, source: String(source) });
+        return [200, JSON.stringify({ address: number, hash, sequence: next, source: String(source) })];
+    }
+
+    /**
+     * Check the signature and sequence, charge juice and run the transaction atomically
+     */
+    submit({ address: caller, accountKey, hash, sig }) {
+        const transaction = this.prepared.get(String(hash).replace(/^0x/, ''));
+        if (!transaction || transaction.number !== MockPeer.number(caller)) {
+            return [400, JSON.stringify({ errorCode: 'FORMAT', value: 'Unknown transaction hash' })];
+        }
+        const account = this.state.accounts.get(transaction.number);
+
+        const key = String(accountKey || '').replace(/^0x/, '').toLowerCase();
+        let verified = false;
+        try {
+            verified = key === account.key && nacl.sign.detached.verify(
+                Buffer.from(String(hash).replace(/^0x/, ''), 'hex'),
+                Buffer.from(String(sig), 'hex'),
+                Buffer.from(key, 'hex')
+            );
+        } catch (error) {
+            verified = false;
+        }
+        if (!verified) return [200, JSON.stringify({ errorCode: 'SIGNATURE', value: 'Signature does not match the account key' })];
+
+        if (transaction.sequence !== account.sequence + 1) {
+            return [200, JSON.stringify({
+                errorCode: 'SEQUENCE',
+                value: `Expected sequence ${account.sequence + 1}, got ${transaction.sequence}`
+            })];
+        }
+        this.prepared.delete(String(hash).replace(/^0x/, ''));
+
+        if (account.balance < BASE_JUICE * this.juicePrice) {
+            return [200, JSON.stringify({ errorCode: 'JUICE', value: 'Not enough CVX to pay for juice' })];
+        }
+
+        // A transaction that fails still uses its sequence number and pays for its juice
+        account.sequence++;
+        const state = structuredClone(this.state);
+        const context = this.context(state, `#${transaction.number}`);
+        let text;
+        try {
+            let value = null;
+            for (const form of readForms(transaction.source)) value = this.evaluate(form, new Map(), context);
+            this.state = state;
+            text = `{"value":${toJson(value)},"info":{"juice":${context.juice},"fees":${context.juice * this.juicePrice}}}`;
+        } catch (error) {
+            text = this.failure(error, context.juice);
+        }
+
+        const payer = this.state.accounts.get(transaction.number);
+        const fee = context.juice * this.juicePrice;
+        payer.balance -= fee > payer.balance ? payer.balance : fee;
+        return [200, text];
+    }
+
+    failure(error, juice) {
+        if (!(error instanceof CvmFailure)) throw error;
+        return JSON.stringify({ errorCode: error.code, value: error.message, info: { juice: Number(juice) } });
+    }
+
+    // ---- Evaluation
+
+    context(state, caller) {
+        return {
+            state,
+            caller: caller === null || caller === undefined ? null : MockPeer.number(caller),
+            aliases: new Map(),
+            juice: BASE_JUICE
+        };
+    }
+
+    run(caller, action) {
+        const state = structuredClone(this.state);
+        const result = action(state, caller);
+        this.state = state;
+        return result;
+    }
+
+    lookup(symbol, scope, context) {
+        for (let frame = scope; frame; frame = frame.get(PARENT)) {
+            if (frame.has(symbol.name)) return frame.get(symbol.name);
+        }
+        switch (symbol.name) {
+        case '*address*': return context.caller === null ? null : new Address(context.caller);
+        case '*juice-price*': return this.juicePrice;
+        case '*state*': return new Map([[Keyword.of('accounts'), [...context.state.accounts.keys()]]]);
+        }
+
+        const slash = symbol.name.indexOf('/');
+        if (slash > 0) {
+            const library = context.aliases.get(symbol.name.slice(0, slash));
+            const name = symbol.name.slice(slash + 1);
+            if (library && LIBRARIES[library][name]) {
+                return (...args) => LIBRARIES[library][name].call(this, context, ...args);
+            }
+        } else if (CORE[symbol.name]) {
+            return (...args) => CORE[symbol.name].call(this, context, ...args);
+        }
+        throw new CvmFailure('UNDECLARED', symbol.name);
+    }
+
+    evaluate(form, scope, context) {
+        context.juice += STEP_JUICE;
+        if (context.juice > JUICE_LIMIT) throw new CvmFailure('JUICE', 'Juice limit exceeded');
+
+        if (form instanceof Sym) return this.lookup(form, scope, context);
+        if (Array.isArray(form)) return form.map(item => this.evaluate(item, scope, context));
+        if (form && form.mapLiteral) {
+            const map = new Map();
+            for (let i = 0; i < form.mapLiteral.length; i += 2) {
+                map.set(this.evaluate(form.mapLiteral[i], scope, context), this.evaluate(form.mapLiteral[i + 1], scope, context));
+            }
+            return map;
+        }
+        if (!(form instanceof List)) return form;
+        if (form.items.length === 0) return [];
+
+        const [head, ...rest] = form.items;
+        if (head instanceof Sym && SPECIAL_FORMS[head.name]) {
+            return SPECIAL_FORMS[head.name].call(this, rest, scope, context);
+        }
+
+        const target = this.evaluate(head, scope, context);
+        const args = rest.map(item => this.evaluate(item, scope, context));
+        if (target instanceof Keyword) {
+            const map = args[0];
+            return map instanceof Map && map.has(target) ? map.get(target) : (args[1] ?? null);
+        }
+        if (typeof target !== 'function') throw new CvmFailure('CAST', `${display(target)} is not a function`);
+        return target(...args);
+    }
+
+    body(forms, scope, context) {
+        let value = null;
+        for (const form of forms) value = this.evaluate(form, scope, context);
+        return value;
+    }
+
+    bind(bindings, values, scope) {
+        const frame = new Map([[PARENT, scope]]);
+        bindings.forEach((symbol, index) => frame.set(symbol.name, values[index]));
+        return frame;
+    }
+
+    // ---- Chain operations used by the libraries
+
+    account(state, number) {
+        const account = state.accounts.get(number);
+        if (!account) throw new CvmFailure('NOBODY', `No account #${number}`);
+        return account;
+    }
+
+    token(state, number) {
+        const token = state.tokens.get(number);
+        if (!token) throw new CvmFailure('NOBODY', `#${number} is not a fungible token`);
+        return token;
+    }
+
+    tokenBalance(state, token, owner) {
+        return this.token(state, token).balances.get(owner) ?? 0n;
+    }
+
+    moveCoins(state, from, to, coins) {
+        const sender = this.account(state, from);
+        if (sender.balance < coins) throw new CvmFailure('FUNDS', `Insufficient CVX in #${from}`);
+        sender.balance -= coins;
+        this.account(state, to).balance += coins;
+    }
+
+    moveTokens(state, tokenNumber, from, to, tokens) {
+        const token = this.token(state, tokenNumber);
+        const held = token.balances.get(from) ?? 0n;
+        if (held < tokens) throw new CvmFailure('FUNDS', `Insufficient #${tokenNumber} tokens in #${from}`);
+        token.balances.set(from, held - tokens);
+        token.balances.set(to, (token.balances.get(to) ?? 0n) + tokens);
+    }
+
+    market(state, tokenNumber) {
+        const market = state.markets.get(tokenNumber);
+        if (market === undefined) throw new CvmFailure('STATE', `No Torus market for #${tokenNumber}`);
+        return {
+            market,
+            cvxReserve: state.accounts.get(market).balance,
+            tokenReserve: this.tokenBalance(state, tokenNumber, market)
+        };
+    }
+
+    createMarket(state, tokenNumber) {
+        this.token(state, tokenNumber);
+        if (state.markets.has(tokenNumber)) throw new CvmFailure('STATE', 'Market already exists');
+        const market = state.accounts.size;
+        state.accounts.set(market, { balance: 0n, key: null, sequence: 0 });
+        state.tokens.set(market, { decimals: 0, supply: 0n, balances: new Map(), metadata: null });
+        state.markets.set(tokenNumber, market);
+        return market;
+    }
+
+    addLiquidity(state, caller, tokenNumber, tokens, coins) {
+        const { market, cvxReserve, tokenReserve } = this.market(state, tokenNumber);
+        const shares = state.tokens.get(market);
+        let minted;
+        let needed = coins;
+        if (shares.supply === 0n) {
+            minted = coins;
+        } else {
+            needed = (tokens * cvxReserve + tokenReserve - 1n) / tokenReserve;
+            if (coins < needed) throw new CvmFailure('ARGUMENT', `Deposit needs ${needed} CVX for ${tokens} tokens`);
+            minted = tokens * shares.supply / tokenReserve;
+        }
+        this.moveTokens(state, tokenNumber, caller, market, tokens);
+        this.moveCoins(state, caller, market, needed);
+        shares.supply += minted;
+        shares.balances.set(caller, (shares.balances.get(caller) ?? 0n) + minted);
+        return minted;
+    }
+
+    withdrawLiquidity(state, caller, tokenNumber, burned) {
+        const { market, cvxReserve, tokenReserve } = this.market(state, tokenNumber);
+        const shares = state.tokens.get(market);
+        const held = shares.balances.get(caller) ?? 0n;
+        if (held < burned) throw new CvmFailure('FUNDS', 'Not enough LP shares');
+        const coins = burned * cvxReserve / shares.supply;
+        const tokens = burned * tokenReserve / shares.supply;
+        shares.balances.set(caller, held - burned);
+        shares.supply -= burned;
+        this.moveCoins(state, market, caller, coins);
+        this.moveTokens(state, tokenNumber, market, caller, tokens);
+        return burned;
+    }
+
+    static amountOut(amountIn, reserveIn, reserveOut) {
+        if (reserveIn <= 0n || reserveOut <= 0n) throw new CvmFailure('STATE', 'Market has no liquidity');
+        const withFee = amountIn * (BPS - TORUS_FEE_BPS);
+        return withFee * reserveOut / (reserveIn * BPS + withFee);
+    }
+
+    static amountIn(amountOut, reserveIn, reserveOut) {
+        if (reserveIn <= 0n || reserveOut <= 0n) throw new CvmFailure('STATE', 'Market has no liquidity');
+        if (amountOut >= reserveOut) throw new CvmFailure('ARGUMENT', 'Not enough liquidity');
+        return reserveIn * amountOut * BPS / ((reserveOut - amountOut) * (BPS - TORUS_FEE_BPS)) + 1n;
+    }
+
+    // Sell CVX for tokens; returns tokens received
+    sellCvx(state, caller, tokenNumber, coins) {
+        const { market, cvxReserve, tokenReserve } = this.market(state, tokenNumber);
+        const tokens = MockPeer.amountOut(coins, cvxReserve, tokenReserve);
+        this.moveCoins(state, caller, market, coins);
+        this.moveTokens(state, tokenNumber, market, caller, tokens);
+        return tokens;
+    }
+
+    // Sell tokens for CVX; returns CVX received
+    sellTokens(state, caller, tokenNumber, tokens) {
+        const { market, cvxReserve, tokenReserve } = this.market(state, tokenNumber);
+        const coins = MockPeer.amountOut(tokens, tokenReserve, cvxReserve);
+        this.moveTokens(state, tokenNumber, caller, market, tokens);
+        this.moveCoins(state, market, caller, coins);
+        return coins;
+    }
+
+    // Buy exactly some tokens with CVX; returns CVX paid
+    buyTokens(state, caller, tokenNumber, tokens) {
+        const { market, cvxReserve, tokenReserve } = this.market(state, tokenNumber);
+        const coins = MockPeer.amountIn(tokens, cvxReserve, tokenReserve);
+        this.moveCoins(state, caller, market, coins);
+        this.moveTokens(state, tokenNumber, market, caller, tokens);
+        return coins;
+    }
+
+    // Buy exactly some CVX with tokens; returns tokens paid
+    buyCvx(state, caller, tokenNumber, coins) {
+        const { market, cvxReserve, tokenReserve } = this.market(state, tokenNumber);
+        const tokens = MockPeer.amountIn(coins, tokenReserve, cvxReserve);
+        this.moveTokens(state, tokenNumber, caller, market, tokens);
+        this.moveCoins(state, market, caller, coins);
+        return tokens;
+    }
+}
+
+// Scope frames keep their enclosing frame under this key
+const PARENT = Symbol('parent');
+
+function symbols(form, name) {
+    if (!Array.isArray(form) || form.length % 2 !== 0) throw new CvmFailure('SYNTAX', `${name} needs a vector of bindings`);
+    const names = [];
+    const values = [];
+    for (let i = 0; i < form.length; i += 2) {
+        if (!(form[i] instanceof Sym)) throw new CvmFailure('SYNTAX', `${name} can only bind symbols`);
+        names.push(form[i]);
+        values.push(form[i + 1]);
+    }
+    return { names, values };
+}
+
+function truthy(value) {
+    return value !== null && value !== false && value !== undefined;
+}
+
+const SPECIAL_FORMS = {
+    do(forms, scope, context) {
+        return this.body(forms, scope, context);
+    },
+
+    let([bindings, ...forms], scope, context) {
+        const { names, values } = symbols(bindings, 'let');
+        let frame = scope;
+        names.forEach((name, index) => {
+            frame = this.bind([name], [this.evaluate(values[index], frame, context)], frame);
+        });
+        return this.body(forms, frame, context);
+    },
+
+    if([test, then, otherwise = null], scope, context) {
+        return truthy(this.evaluate(test, scope, context))
+            ? this.evaluate(then, scope, context)
+            : this.evaluate(otherwise, scope, context);
+    },
+
+    when([test, ...forms], scope, context) {
+        return truthy(this.evaluate(test, scope, context)) ? this.body(forms, scope, context) : null;
+    },
+
+    cond(clauses, scope, context) {
+        for (let i = 0; i < clauses.length; i += 2) {
+            if (i + 1 === clauses.length) return this.evaluate(clauses[i], scope, context);
+            if (truthy(this.evaluate(clauses[i], scope, context))) return this.evaluate(clauses[i + 1], scope, context);
+        }
+        return null;
+    },
+
+    loop([bindings, ...forms], scope, context) {
+        const { names, values } = symbols(bindings, 'loop');
+        let current = values.map(value => this.evaluate(value, scope, context));
+        for (;;) {
+            const result = this.body(forms, this.bind(names, current, scope), context);
+            if (!(result instanceof Recur)) return result;
+            current = result.values;
+        }
+    },
+
+    recur(forms, scope, context) {
+        return new Recur(forms.map(form => this.evaluate(form, scope, context)));
+    },
+
+    // Aliases apply from here on, to the forms evaluated after the import
+    import([library, as, alias], scope, context) {
+        if (!(library instanceof Sym) || !LIBRARIES[library.name]) {
+            throw new CvmFailure('NOBODY', `No library ${display(library)}`);
+        }
+        if (as !== Keyword.of('as') || !(alias instanceof Sym)) throw new CvmFailure('SYNTAX', 'Expected (import lib :as alias)');
+        context.aliases.set(alias.name, library.name);
+        return null;
+    },
+
+    fail(forms, scope, context) {
+        const values = forms.map(form => this.evaluate(form, scope, context));
+        const code = values[0] instanceof Keyword ? values.shift().name : 'ASSERT';
+        throw new CvmFailure(code, display(values[0] ?? code));
+    },
+
+    call([target, invocation], scope, context) {
+        const number = address(this.evaluate(target, scope, context), 'call target');
+        if (!(invocation instanceof List) || !(invocation.items[0] instanceof Sym)) {
+            throw new CvmFailure('SYNTAX', 'Expected (call target (function args...))');
+        }
+        const name = invocation.items[0].name;
+        const token = context.state.tokens.get(number);
+        if (token && name === 'total-supply') return token.supply;
+        if (token && name === 'metadata' && token.metadata) {
+            return new Map(Object.entries(token.metadata).map(([key, value]) => [Keyword.of(key), value]));
+        }
+        throw new CvmFailure('UNDECLARED', `#${number} has no callable ${name}`);
+    }
+};
+
+function compare(test) {
+    return (context, ...values) => values.every((value, index) => index === 0
+        || test(integer(values[index - 1]), integer(value)));
+}
+
+const CORE = {
+    '+': (context, ...values) => values.reduce((sum, value) => sum + integer(value), 0n),
+    '-': (context, first, ...values) => (values.length === 0
+        ? -integer(first)
+        : values.reduce((result, value) => result - integer(value), integer(first))),
+    '*': (context, ...values) => values.reduce((product, value) => product * integer(value), 1n),
+    '<': compare((a, b) => a < b),
+    '>': compare((a, b) => a > b),
+    '<=': compare((a, b) => a <= b),
+    '>=': compare((a, b) => a >= b),
+    '=': (context, ...values) => values.every(value => equal(value, values[0])),
+    max: (context, ...values) => values.map(value => integer(value)).reduce((a, b) => (b > a ? b : a)),
+    min: (context, ...values) => values.map(value => integer(value)).reduce((a, b) => (b < a ? b : a)),
+    inc: (context, value) => integer(value) + 1n,
+    dec: (context, value) => integer(value) - 1n,
+    not: (context, value) => !truthy(value),
+    'nil?': (context, value) => value === null,
+    count(context, value) {
+        if (value === null) return 0n;
+        if (Array.isArray(value) || typeof value === 'string') return BigInt(value.length);
+        if (value instanceof Map) return BigInt(value.size);
+        throw new CvmFailure('CAST', 'count needs a collection');
+    },
+    str: (context, ...values) => values.map(display).join(''),
+    vector: (context, ...values) => values,
+    address(context, value) {
+        if (value instanceof Address) return value;
+        return new Address(integer(value, 'address'));
+    },
+    balance(context, owner) {
+        const account = context.state.accounts.get(address(owner));
+        return account ? account.balance : null;
+    },
+    account(context, owner) {
+        const account = context.state.accounts.get(address(owner));
+        if (!account) return null;
+        return new Map([
+            [Keyword.of('key'), account.key ? new Blob(account.key) : null],
+            [Keyword.of('balance'), account.balance],
+            [Keyword.of('sequence'), BigInt(account.sequence)]
+        ]);
+    },
+    transfer(context, to, coins) {
+        this.moveCoins(context.state, context.caller, address(to), amount(coins));
+        return coins;
+    }
+};
+
+// Library functions, called with the evaluation context first
+const LIBRARIES = {
+    'convex.fungible': {
+        balance(context, token, owner = new Address(context.caller)) {
+            return this.tokenBalance(context.state, address(token, 'token'), address(owner, 'owner'));
+        },
+        decimals(context, token) {
+            return BigInt(this.token(context.state, address(token, 'token')).decimals);
+        },
+        transfer(context, token, to, tokens) {
+            this.moveTokens(context.state, address(token, 'token'), context.caller, address(to), amount(tokens));
+            return tokens;
+        }
+    },
+    'torus.exchange': {
+        'get-market'(context, token) {
+            const market = context.state.markets.get(address(token, 'token'));
+            return market === undefined ? null : new Address(market);
+        },
+        'create-market'(context, token) {
+            return new Address(this.createMarket(context.state, address(token, 'token')));
+        },
+        'add-liquidity'(context, token, tokens, coins) {
+            return this.addLiquidity(context.state, context.caller, address(token, 'token'), amount(tokens), amount(coins));
+        },
+        'withdraw-liquidity'(context, token, shares) {
+            return this.withdrawLiquidity(context.state, context.caller, address(token, 'token'), amount(shares));
+        },
+        'sell-cvx'(context, token, coins) {
+            return this.sellCvx(context.state, context.caller, address(token, 'token'), amount(coins));
+        },
+        'sell-tokens'(context, token, tokens) {
+            return this.sellTokens(context.state, context.caller, address(token, 'token'), amount(tokens));
+        },
+        sell(context, from, tokens, to) {
+            const coins = this.sellTokens(context.state, context.caller, address(from, 'token'), amount(tokens));
+            return this.sellCvx(context.state, context.caller, address(to, 'token'), coins);
+        },
+        'buy-tokens'(context, token, tokens) {
+            return this.buyTokens(context.state, context.caller, address(token, 'token'), amount(tokens));
+        },
+        'buy-cvx'(context, token, coins) {
+            return this.buyCvx(context.state, context.caller, address(token, 'token'), amount(coins));
+        },
+        buy(context, to, tokens, from) {
+            const target = address(to, 'token');
+            const { cvxReserve, tokenReserve } = this.market(context.state, target);
+            const coins = MockPeer.amountIn(amount(tokens), cvxReserve, tokenReserve);
+            const paid = this.buyCvx(context.state, context.caller, address(from, 'token'), coins);
+            this.buyTokens(context.state, context.caller, target, tokens);
+            return paid;
+        }
+    }
+};
+
+/**
+ * A peer for trying the page offline: two tokens with markets, held by a keyless account.
+ * Choose the "Local peer" network and create a demo account, which the faucet funds.
+ */
+async function main(port) {
+    const peer = new MockPeer();
+    const holder = peer.addAccount({ balance: 10n ** 15n });
+    const tokens = [
+        { symbol: 'USDM', name: 'Mock Dollar', decimals: 6, supply: 10n ** 15n, pool: 10n ** 12n },
+        { symbol: 'GLDM', name: 'Mock Gold', decimals: 2, supply: 10n ** 9n, pool: 10n ** 7n }
+    ];
+    for (const { symbol, name, decimals, supply, pool } of tokens) {
+        const token = peer.addToken({ supply, holder, decimals, metadata: { symbol, name } });
+        peer.addMarket(token, { provider: holder, tokens: pool, cvx: 10n ** 14n });
+        console.log(`🪙 ${symbol} ${token}`);
+    }
+    console.log(`🧪 Mock Convex peer on ${await peer.start(port)}`);
+}
+
+if (require.main === module) {
+    main(Number(process.argv[2] || 8080)).catch(error => {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { MockPeer, readForms };
@@ -0,0 +1,208 @@
+/**
+ * VorteX Subscriptions
+ * Live account balances and market reserves for ConvexClient. Every subscribed
+ * read is polled in one batched query at an adaptive interval: fast after a
+ * change, slower while nothing moves, backing off on errors and paused while
+ * the tab is hidden. Listeners only hear about values that changed.
+ */
+const SUBSCRIPTION_MIN_MS = 4000;
+const SUBSCRIPTION_MAX_MS = 60000;
+const SUBSCRIPTION_SLOWDOWN = 1.5;
+
+// Outside a page (the Node SDK) nothing is ever hidden
+const ALWAYS_VISIBLE = { hidden: false, addEventListener() {}, removeEventListener() {} };
+
+class Subscriptions {
+    constructor(convexClient, doc = window.document) {
+        this.client = convexClient;
+        this.document = doc || ALWAYS_VISIBLE;
+        this.topics = new Map();
+        this.statusListeners = new Set();
+        this.interval = SUBSCRIPTION_MIN_MS;
+        this.timer = null;
+        this.polling = false;
+        this.errors = 0;
+        this.lastError = null;
+        this.lastSuccess = null;
+
+        this.onVisibility = () => {
+            if (this.document.hidden) {
+                this.cancelTimer();
+            } else {
+                // Anything may have changed while hidden
+                this.interval = SUBSCRIPTION_MIN_MS;
+                this.poll();
+            }
+            this.notifyStatus();
+        };
+        this.document.addEventListener('visibilitychange', this.onVisibility);
+    }
+
+    /**
+     * Be told about every change to a read expression; returns an unsubscribe function.
+     * The listener gets the parsed value, immediately if one is already known.
+     */
+    subscribe(expression, listener, parse = value => value) {
+        const key = String(expression);
+        let topic = this.topics.get(key);
+        if (!topic) {
+            topic = { key, expression, parse, listeners: new Set(), raw: undefined, value: undefined };
+            this.topics.set(key, topic);
+            // A new read should not wait out a long quiet interval
+            this.schedule(0);
+        }
+        const entry = { listener };
+        topic.listeners.add(entry);
+        if (topic.raw !== undefined) listener(topic.value);
+
+        return () => {
+            topic.listeners.delete(entry);
+            // After clear() the key may belong to a newer topic
+            if (topic.listeners.size === 0 && this.topics.get(key) === topic) this.topics.delete(key);
+            if (this.topics.size === 0) this.cancelTimer();
+        };
+    }
+
+    /**
+     * An account's balance of a token (null for CVX), as base units
+     */
+    balance(owner, tokenAddress, listener) {
+        const account = Cvm.address(owner);
+        const expression = tokenAddress
+            ? Cvm.source`(str (fun/balance ${Cvm.address(tokenAddress)} ${account}))`
+            : Cvm.source`(str (balance ${account}))`;
+        return this.subscribe(expression, listener, value => Amount.toBigInt(value));
+    }
+
+    /**
+     * A token's Torus market reserves ({market, cvxReserve, tokenReserve}, or null without a market)
+     */
+    market(tokenAddress, listener) {
+        const token = Cvm.address(tokenAddress);
+        const expression = Cvm.source`(let [m (torus/get-market ${token})]
+            (when m [m (str (balance m)) (str (fun/balance ${token} m))]))`;
+        return this.subscribe(expression, listener, value => value && {
+            market: ConvexClient.formatAddress(value[0]),
+            cvxReserve: Amount.toBigInt(value[1]),
+            tokenReserve: Amount.toBigInt(value[2])
+        });
+    }
+
+    /**
+     * Be told when polling health changes ({stale, paused, lastSuccess, error, interval})
+     */
+    onStatus(listener) {
+        this.statusListeners.add(listener);
+        listener(this.status());
+        return () => this.statusListeners.delete(listener);
+    }
+
+    /**
+     * Data is stale after a failed poll, or when no poll has succeeded for two intervals
+     */
+    status() {
+        const paused = Boolean(this.document.hidden);
+        const overdue = this.lastSuccess !== null && Date.now() - this.lastSuccess > this.interval * 2;
+        return {
+            stale: this.topics.size > 0 && (this.errors > 0 || (!paused && overdue)),
+            paused,
+            lastSuccess: this.lastSuccess,
+            error: this.lastError,
+            interval: this.interval
+        };
+    }
+
+    notifyStatus() {
+        const status = this.status();
+        this.statusListeners.forEach(listener => listener(status));
+    }
+
+    /**
+     * Poll now and go back to the fastest interval, e.g. after a transaction
+     */
+    refresh() {
+        this.interval = SUBSCRIPTION_MIN_MS;
+        return this.poll();
+    }
+
+    /**
+     * Read every subscribed expression in one query and notify listeners of changes
+     */
+    async poll() {
+        this.cancelTimer();
+        if (this.polling || this.topics.size === 0 || this.document.hidden) return;
+        this.polling = true;
+
+        const topics = [...this.topics.values()];
+        try {
+            const values = await this.client.read(topics.map(topic => topic.expression), { maxAge: 0 });
+            let changed = false;
+            topics.forEach((topic, index) => {
+                const raw = JSON.stringify(values[index] ?? null);
+                if (raw === topic.raw) return;
+                changed = true;
+                topic.raw = raw;
+                topic.value = topic.parse(values[index] ?? null);
+                topic.listeners.forEach(({ listener }) => {
+                    try {
+                        listener(topic.value);
+                    } catch (error) {
+                        console.error('Subscription listener failed:', error);
+                    }
+                });
+            });
+
+            this.errors = 0;
+            this.lastError = null;
+            this.lastSuccess = Date.now();
+            // Poll fast while things move, then slow down
+            this.interval = changed
+                ? SUBSCRIPTION_MIN_MS
+                : Math.min(this.interval * SUBSCRIPTION_SLOWDOWN, SUBSCRIPTION_MAX_MS);
+        } catch (error) {
+            console.error('Subscription poll failed:', error.message);
+            this.errors++;
+            this.lastError = error;
+            this.interval = Math.min(SUBSCRIPTION_MIN_MS * 2 ** this.errors, SUBSCRIPTION_MAX_MS);
+        } finally {
+            this.polling = false;
+        }
+
+        this.notifyStatus();
+        this.schedule(this.interval);
+    }
+
+    schedule(delayMs) {
+        if (this.document.hidden || this.topics.size === 0) return;
+        this.cancelTimer();
+        this.timer = setTimeout(() => this.poll(), delayMs);
+    }
+
+    cancelTimer() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Drop every subscription (on disconnect)
+     */
+    clear() {
+        this.topics.clear();
+        this.cancelTimer();
+        this.errors = 0;
+        this.lastError = null;
+        this.lastSuccess = null;
+        this.notifyStatus();
+    }
+
+    /**
+     * Stop for good and forget the page visibility listener
+     */
+    destroy() {
+        this.clear();
+        this.document.removeEventListener('visibilitychange', this.onVisibility);
+    }
+}
+
+// Export for use
+window.Subscriptions = Subscriptions;
@@ -0,0 +1,297 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MockPeer } = require('../sdk/mock-peer.cjs');
+const { sdk, CVX, keyPair, startChain, connectTrader } = require('./fixture.cjs');
+
+const { ConvexClient, Cvm, CvmError, HttpError, PeerTimeoutError, Ed25519Signer } = sdk;
+
+test('ConvexClient against the mock peer', async t => {
+    const chain = await startChain();
+    const { peer, trader } = chain;
+    t.after(() => peer.stop());
+
+    let vortex;
+    t.beforeEach(async () => {
+        vortex = await connectTrader(chain);
+    });
+    t.afterEach(() => vortex.close());
+
+    await t.test('initialize skips a peer that does not answer', async () => {
+        const dead = new MockPeer();
+        const deadUrl = await dead.start();
+        await dead.stop();
+
+        const client = new ConvexClient([deadUrl, chain.url]);
+        await client.initialize();
+        assert.equal(client.peerUrl, chain.url);
+        client.close();
+    });
+
+    await t.test('query returns values and raises CVM errors with their code', async () => {
+        const { client } = vortex;
+        assert.equal((await client.query(Cvm.source`(+ 2 2 2 1)`)).value, 7);
+        assert.equal(await client.getBalance(trader), 10000n * CVX);
+
+        await assert.rejects(client.query(Cvm.source`(fail :ASSERT "no")`), error => {
+            assert.ok(error instanceof CvmError);
+            assert.equal(error.code, 'ASSERT');
+            return true;
+        });
+    });
+
+    await t.test('query and transact refuse source that was not built with Cvm.source', async () => {
+        const prepares = peer.requestsTo('/api/v1/transaction/prepare').length;
+        await assert.rejects(vortex.client.query('(+ 1 1)'), /Unchecked CVM source/);
+        await assert.rejects(vortex.client.transact(`(transfer ${chain.usd} 1)`), /Unchecked CVM source/);
+        assert.equal(peer.requestsTo('/api/v1/transaction/prepare').length, prepares);
+    });
+
+    await t.test('swap and liquidity amounts must be zero or more', async () => {
+        assert.equal(String(Cvm.amount(0n)), '0');
+        assert.equal(String(Cvm.integer(-5)), '-5');
+        assert.throws(() => Cvm.amount(-1n), /must be zero or more/);
+        assert.throws(() => Cvm.amount('-20'), /must be zero or more/);
+        await assert.rejects(vortex.client.sellCvx(chain.usd, -CVX), /must be zero or more/);
+        await assert.rejects(vortex.client.addLiquidity(chain.usd, 10n, -CVX), /must be zero or more/);
+    });
+
+    await t.test('reads in one tick go to the peer as one query', async () => {
+        const before = peer.requestsTo('/api/v1/query').length;
+        const [cvx, usd, reserves] = await Promise.all([
+            vortex.client.read([Cvm.source`(str (balance ${Cvm.address(trader)}))`]),
+            vortex.client.read([Cvm.source`(str (fun/balance ${Cvm.address(chain.usd)} ${Cvm.address(trader)}))`]),
+            vortex.client.getMarketReserves(chain.usd)
+        ]);
+        assert.equal(peer.requestsTo('/api/v1/query').length - before, 1);
+        assert.equal(BigInt(cvx[0]), peer.balance(trader));
+        assert.equal(BigInt(usd[0]), peer.balance(trader, chain.usd));
+        assert.equal(reserves.cvxReserve, peer.reserves(chain.usd).cvxReserve);
+    });
+
+    await t.test('transactions are signed, sequenced and pay juice', async () => {
+        const friend = peer.addAccount();
+        const balance = peer.balance(trader);
+        const sequence = peer.sequence(trader);
+
+        const result = await vortex.client.transact(Cvm.source`(transfer ${Cvm.address(friend)} ${Cvm.integer(5n * CVX)})`);
+        assert.equal(peer.balance(friend), 5n * CVX);
+        assert.equal(peer.sequence(trader), sequence + 1);
+        assert.equal(peer.balance(trader), balance - 5n * CVX - BigInt(result.info.juice) * 2n);
+    });
+
+    await t.test('a failed transaction still uses its sequence number and pays for juice', async () => {
+        const friend = peer.addAccount();
+        const balance = peer.balance(trader);
+        const sequence = peer.sequence(trader);
+
+        await assert.rejects(
+            vortex.client.transact(Cvm.source`(transfer ${Cvm.address(friend)} ${Cvm.integer(balance + 1n)})`),
+            { code: 'FUNDS' }
+        );
+        assert.equal(peer.balance(friend), 0n);
+        assert.equal(peer.sequence(trader), sequence + 1);
+        assert.ok(peer.balance(trader) < balance);
+
+        // The client rereads the sequence and carries on
+        await vortex.client.transact(Cvm.source`(transfer ${Cvm.address(friend)} 1)`);
+        assert.equal(peer.balance(friend), 1n);
+    });
+
+    await t.test('the peer rejects a signature from another key', async () => {
+        vortex.client.setSigner(Ed25519Signer.fromSeed(keyPair(2).seed));
+        const sequence = peer.sequence(trader);
+        await assert.rejects(vortex.client.transact(Cvm.source`(+ 1 1)`), { code: 'SIGNATURE' });
+        assert.equal(peer.sequence(trader), sequence);
+    });
+
+    await t.test('an account without CVX for juice gets JUICE', async () => {
+        const keys = keyPair(3);
+        const poor = peer.addAccount({ balance: 10n, publicKey: keys.publicKey });
+        vortex.client.setAddress(poor);
+        vortex.client.setSigner(Ed25519Signer.fromSeed(keys.seed));
+        await assert.rejects(vortex.client.transact(Cvm.source`(+ 1 1)`), error => {
+            assert.equal(error.code, 'JUICE');
+            assert.equal(error.retryable, false);
+            return true;
+        });
+    });
+
+    await t.test('a SEQUENCE rejection is retried with the sequence read again', async () => {
+        await vortex.client.transact(Cvm.source`(+ 1 1)`);
+        // Another client signs for the same account in between
+        peer.setSequence(trader, peer.sequence(trader) + 3);
+
+        const prepares = peer.requestsTo('/api/v1/transaction/prepare').length;
+        const result = await vortex.client.transact(Cvm.source`(+ 2 2)`);
+        assert.equal(result.value, 4);
+        assert.equal(peer.requestsTo('/api/v1/transaction/prepare').length - prepares, 2);
+    });
+
+    await t.test('review comes before prepare, and every prepared hash is confirmed before it is signed', async () => {
+        await vortex.client.transact(Cvm.source`(+ 1 1)`);
+        const prepares = peer.requestsTo('/api/v1/transaction/prepare').length;
+        const reviews = [];
+        let interrupted = false;
+        vortex.client.setReviewer(event => {
+            reviews.push({ ...event, prepared: peer.requestsTo('/api/v1/transaction/prepare').length - prepares });
+            // Another client uses the account while the hash is shown
+            if (event.hash && !interrupted) {
+                interrupted = true;
+                peer.setSequence(trader, peer.sequence(trader) + 1);
+            }
+            return true;
+        });
+
+        const sequence = peer.sequence(trader);
+        const result = await vortex.client.transact(Cvm.source`(+ 2 3)`);
+        assert.equal(result.value, 5);
+        assert.deepEqual(reviews.map(review => [review.status, review.sequence, review.prepared]),
+            [['reviewing', null, 0], ['reviewing', sequence + 1, 1], ['reviewing', sequence + 2, 2]]);
+        assert.equal(reviews[0].hash, null);
+        assert.ok(reviews.every(review => review.simulation.ok && review.source === '(+ 2 3)'));
+        // The SEQUENCE rejection re-prepared a new hash, which was shown again before it was signed
+        assert.match(reviews[1].hash, /^(0x)?[0-9a-f]{64}$/i);
+        assert.notEqual(reviews[2].hash, reviews[1].hash);
+        assert.equal(peer.requestsTo('/api/v1/transaction/prepare').length - prepares, 2);
+    });
+
+    await t.test('declining the prepared hash signs and sends nothing', async () => {
+        const submits = peer.requestsTo('/api/v1/transaction/submit').length;
+        const sequence = peer.sequence(trader);
+        vortex.client.setReviewer(event => !event.hash);
+        await assert.rejects(vortex.client.transact(Cvm.source`(+ 1 1)`), { code: 'CANCELLED' });
+        assert.equal(peer.requestsTo('/api/v1/transaction/submit').length, submits);
+        assert.equal(peer.sequence(trader), sequence);
+
+        // The unused sequence number goes to the next transaction
+        vortex.client.setReviewer(null);
+        await vortex.client.transact(Cvm.source`(+ 1 1)`);
+        assert.equal(peer.sequence(trader), sequence + 1);
+    });
+
+    await t.test('a slow query times out and may be retried', async () => {
+        vortex.client.timeout = 100;
+        peer.inject({ path: '/api/v1/query', delayMs: 400 });
+        await assert.rejects(vortex.client.query(Cvm.source`(+ 1 1)`), error => {
+            assert.ok(error instanceof PeerTimeoutError);
+            assert.equal(error.code, 'TIMEOUT');
+            assert.equal(error.retryable, true);
+            return true;
+        });
+    });
+
+    await t.test('a submit that times out is not retryable, as it may still apply', async () => {
+        const sequence = peer.sequence(trader);
+        vortex.client.timeout = 100;
+        peer.inject({ path: '/api/v1/transaction/submit', delayMs: 300 });
+
+        await assert.rejects(vortex.client.transact(Cvm.source`(+ 1 1)`), error => {
+            assert.equal(error.code, 'TIMEOUT');
+            assert.equal(error.retryable, false);
+            return true;
+        });
+        await new Promise(resolve => setTimeout(resolve, 400));
+        assert.equal(peer.sequence(trader), sequence + 1);
+    });
+
+    await t.test('a body that is not JSON is MALFORMED', async () => {
+        peer.inject({ path: '/api/v1/query', body: '<html>Bad gateway</html>' });
+        await assert.rejects(vortex.client.query(Cvm.source`(+ 1 1)`), { code: 'MALFORMED', retryable: true });
+
+        peer.inject({ path: '/api/v1/query', body: '[1, 2]' });
+        await assert.rejects(vortex.client.query(Cvm.source`(+ 1 1)`), { code: 'MALFORMED' });
+    });
+
+    await t.test('a transaction whose account is locked before signing fails as LOCKED and sends nothing', async () => {
+        const keys = keyPair(5);
+        const account = peer.addAccount({ balance: 1000n * CVX, publicKey: keys.publicKey });
+        const signer = Ed25519Signer.fromSeed(keys.seed);
+        vortex.client.setAddress(account);
+        vortex.client.setSigner(signer);
+        const submits = peer.requestsTo('/api/v1/transaction/submit').length;
+
+        // The wallet locks while the transaction waits for review
+        vortex.client.setReviewer(() => {
+            signer.destroy();
+            return true;
+        });
+        await assert.rejects(vortex.client.transact(Cvm.source`(+ 1 1)`), error => {
+            assert.equal(error.code, 'LOCKED');
+            assert.equal(error.retryable, false);
+            return true;
+        });
+        assert.equal(peer.requestsTo('/api/v1/transaction/submit').length, submits);
+        assert.equal(peer.sequence(account), 0);
+    });
+
+    await t.test('a simulation reply of the wrong shape is MALFORMED and nothing is prepared', async () => {
+        const prepares = peer.requestsTo('/api/v1/transaction/prepare').length;
+        for (const body of ['{"value": 5}', '{"value": [1, ["1"], ["x"], "1"]}', '{"info": {}}']) {
+            peer.inject({ path: '/api/v1/query', body });
+            await assert.rejects(vortex.client.simulate(Cvm.source`(+ 1 1)`), { code: 'MALFORMED' });
+        }
+
+        // At review, the reviewer is never asked about it
+        let reviewed = false;
+        vortex.client.setReviewer(() => (reviewed = true));
+        peer.inject({ path: '/api/v1/query', body: '{"value": null}' });
+        await assert.rejects(vortex.client.transact(Cvm.source`(+ 1 1)`), { code: 'MALFORMED' });
+        assert.equal(reviewed, false);
+        assert.equal(peer.requestsTo('/api/v1/transaction/prepare').length, prepares);
+    });
+
+    await t.test('a prepare without a hash is MALFORMED and nothing is signed or submitted', async () => {
+        vortex.client.retryDelayMs = 0;
+        const submits = peer.requestsTo('/api/v1/transaction/submit').length;
+        const prepares = peer.requestsTo('/api/v1/transaction/prepare').length;
+        peer.inject({ path: '/api/v1/transaction/prepare', body: '{"address": 13, "sequence": 1}', times: 3 });
+        await assert.rejects(vortex.client.transact(Cvm.source`(+ 1 1)`), { code: 'MALFORMED' });
+        assert.equal(peer.requestsTo('/api/v1/transaction/submit').length, submits);
+        // One retry budget: three prepares in all, however the error is retried
+        assert.equal(peer.requestsTo('/api/v1/transaction/prepare').length - prepares, 3);
+    });
+
+    await t.test('a peer error before submit is retried once in the queue and reported', async () => {
+        vortex.client.retryDelayMs = 0;
+        const events = [];
+        vortex.client.onTransaction(event => events.push(event));
+        peer.inject({ path: '/api/v1/transaction/prepare', status: 503, body: 'overloaded' });
+
+        const result = await vortex.client.transact(Cvm.source`(+ 3 4)`);
+        assert.equal(result.value, 7);
+        const retry = events.find(event => event.status === 'retrying');
+        assert.equal(retry.attempt, 1);
+        assert.equal(retry.error.status, 503);
+        assert.equal(events.at(-1).attempt, 2);
+    });
+
+    await t.test('an HTTP error status becomes an HttpError', async () => {
+        peer.inject({ path: '/api/v1/query', status: 503, body: 'overloaded' });
+        await assert.rejects(vortex.client.query(Cvm.source`(+ 1 1)`), error => {
+            assert.ok(error instanceof HttpError);
+            assert.equal(error.status, 503);
+            assert.equal(error.retryable, true);
+            return true;
+        });
+    });
+
+    await t.test('accounts are found by public key', async () => {
+        assert.equal(await vortex.client.findAccountByPublicKey(chain.keys.publicKey), trader);
+        assert.equal(await vortex.client.findAccountByPublicKey(chain.keys.publicKey, trader), trader);
+        assert.equal(await vortex.client.findAccountByPublicKey(keyPair(9).publicKey), null);
+    });
+
+    await t.test('a demo account is created and funded by the faucet', async () => {
+        const client = new ConvexClient([chain.url]);
+        await client.initialize();
+        await client.createDemoAccount();
+        assert.notEqual(client.address, '#12');
+        assert.equal(peer.balance(client.address), 10000000n);
+
+        const result = await client.transact(Cvm.source`(+ 1 2)`);
+        assert.equal(result.value, 3);
+        client.close();
+    });
+});
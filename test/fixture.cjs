@@ -0,0 +1,47 @@
+/**
+ * Shared test chain: a mock peer with a funded, keyed trader, two tokens and their Torus markets
+ */
+'use strict';
+
+const nacl = require('tweetnacl');
+const { MockPeer } = require('../sdk/mock-peer.cjs');
+const sdk = require('..');
+
+sdk.setLogger(null);
+
+const CVX = 10n ** 9n;
+
+function keyPair(fill) {
+    const seed = Buffer.alloc(32, fill);
+    return {
+        seed: seed.toString('hex'),
+        publicKey: Buffer.from(nacl.sign.keyPair.fromSeed(seed).publicKey).toString('hex')
+    };
+}
+
+/**
+ * Start a peer holding: trader (10,000 CVX, all of USD and GLD), a USD/CVX market
+ * (1,000,000 USD : 100,000 CVX) and a GLD/CVX market (100,000 GLD : 100,000 CVX)
+ */
+async function startChain() {
+    const peer = new MockPeer();
+    const keys = keyPair(1);
+    const trader = peer.addAccount({ balance: 210000n * CVX, publicKey: keys.publicKey });
+    const usd = peer.addToken({ supply: 10n ** 15n, holder: trader, decimals: 6, metadata: { symbol: 'USD', name: 'Dollar' } });
+    const gld = peer.addToken({ supply: 10n ** 9n, holder: trader, decimals: 2, metadata: { symbol: 'GLD', name: 'Gold' } });
+    peer.addMarket(usd, { provider: trader, tokens: 10n ** 12n, cvx: 100000n * CVX });
+    peer.addMarket(gld, { provider: trader, tokens: 10n ** 7n, cvx: 100000n * CVX });
+    const url = await peer.start();
+    return { peer, url, trader, keys, usd, gld };
+}
+
+/**
+ * A connected SDK instance signing as the chain's trader
+ */
+async function connectTrader(chain, options = {}) {
+    const vortex = await sdk.Vortex.connect({ peers: [chain.url], ...options });
+    await vortex.useSeed(chain.keys.seed, chain.trader);
+    return vortex;
+}
+
+module.exports = { sdk, CVX, keyPair, startChain, connectTrader };
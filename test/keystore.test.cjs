@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sdk } = require('./fixture.cjs');
+
+const { Keystore, MemoryStorage } = sdk;
+
+const PASSPHRASE = 'correct horse battery';
+const ACCOUNTS = [{ name: 'Main', address: '#1234', seed: '01'.repeat(32) }];
+
+// An exported keystore whose key was derived with a given iteration count
+async function backup(iterations) {
+    const keystore = new Keystore(new MemoryStorage());
+    keystore.salt = crypto.getRandomValues(new Uint8Array(16));
+    keystore.iterations = iterations;
+    keystore.key = await Keystore.deriveKey(PASSPHRASE, keystore.salt, iterations);
+    await keystore.save(ACCOUNTS);
+    return keystore.exportFile();
+}
+
+test('Keystore', async t => {
+    await t.test('a backup with another iteration count still unlocks after it is saved again', async () => {
+        const storage = new MemoryStorage();
+        const keystore = new Keystore(storage);
+        await keystore.importFile(await backup(150000), PASSPHRASE);
+        await keystore.save([...ACCOUNTS, { name: 'Second', address: '#99', seed: '02'.repeat(32) }]);
+        assert.equal(JSON.parse(keystore.exportFile()).iterations, 150000);
+
+        const reopened = new Keystore(storage);
+        assert.equal((await reopened.unlock(PASSPHRASE)).length, 2);
+    });
+
+    await t.test('a changed passphrase moves the keystore to the default iteration count', async () => {
+        const storage = new MemoryStorage();
+        const keystore = new Keystore(storage);
+        await keystore.importFile(await backup(150000), PASSPHRASE);
+        await keystore.changePassphrase(PASSPHRASE, 'another passphrase');
+        assert.equal(JSON.parse(keystore.exportFile()).iterations, 600000);
+        assert.deepEqual(await new Keystore(storage).unlock('another passphrase'), ACCOUNTS);
+    });
+
+    await t.test('iteration counts outside the accepted range are refused', async () => {
+        const record = JSON.parse(await backup(150000));
+        for (const iterations of [1, 99999, 10000001, 1e15, '600000', undefined]) {
+            await assert.rejects(
+                new Keystore(new MemoryStorage()).importFile(JSON.stringify({ ...record, iterations }), PASSPHRASE),
+                /iteration count must be between/
+            );
+        }
+        await assert.rejects(new Keystore(new MemoryStorage()).importFile('{oops', PASSPHRASE), /Not a VorteX keystore/);
+    });
+});
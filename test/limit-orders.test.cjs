@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sdk, CVX, keyPair, startChain, connectTrader } = require('./fixture.cjs');
+
+const { LimitOrderEngine, MemoryStorage, Ed25519Signer } = sdk;
+
+test('LimitOrderEngine against the mock peer', async t => {
+    const chain = await startChain();
+    const { peer, trader, usd } = chain;
+    t.after(() => peer.stop());
+
+    let vortex;
+    let engine;
+    t.beforeEach(async () => {
+        vortex = await connectTrader(chain);
+        await vortex.resolveToken(usd);
+        vortex.client.retryDelayMs = 0;
+        engine = new LimitOrderEngine(vortex.swap, new MemoryStorage());
+    });
+    t.afterEach(() => {
+        engine.stop();
+        vortex.close();
+    });
+
+    // A limit order selling CVX for USD whose trigger the current price already meets
+    const placeTriggered = (address, amountIn = CVX) => engine.place({
+        address,
+        kind: 'limit',
+        tokenIn: null,
+        tokenOut: usd,
+        amountIn,
+        triggerOutput: 1n,
+        price: '0.000001',
+        expiresAt: Date.now() + 3600000,
+        slippageBps: 50
+    });
+
+    // Resolves once an order reaches a status
+    const reaches = (order, status) => new Promise(resolve => {
+        const stop = engine.onChange(changed => {
+            if (changed === order && order.status === status) {
+                stop();
+                resolve();
+            }
+        });
+    });
+
+    await t.test('a triggered order is swapped and recorded as filled', async () => {
+        const order = placeTriggered(trader);
+        const before = peer.balance(trader, usd);
+
+        await engine.checkOrder(order);
+
+        assert.equal(order.status, 'filled');
+        assert.equal(BigInt(order.amountOut), peer.balance(trader, usd) - before);
+        assert.ok(BigInt(order.amountOut) >= BigInt(order.lastQuote) * 995n / 1000n);
+    });
+
+    await t.test('an order the chain rejects for slippage stays open', async () => {
+        const order = placeTriggered(trader);
+        peer.inject({ path: '/api/v1/transaction/submit', body: '{"errorCode": "SLIPPAGE", "value": "Swap output below minimum"}' });
+
+        await engine.checkOrder(order);
+        assert.equal(order.status, 'open');
+        assert.match(order.error, /SLIPPAGE|slippage/i);
+
+        // The next poll fills it
+        await engine.checkOrder(order);
+        assert.equal(order.status, 'filled');
+    });
+
+    await t.test('an order the peer cannot prepare stays open', async () => {
+        const order = placeTriggered(trader);
+        peer.inject({ path: '/api/v1/transaction/prepare', status: 503, body: 'overloaded', times: 3 });
+        const before = peer.balance(trader, usd);
+
+        await engine.checkOrder(order);
+        assert.equal(order.status, 'open');
+        assert.equal(peer.balance(trader, usd), before);
+    });
+
+    await t.test('an order declined at review stays open and paused until resumed', async () => {
+        const order = placeTriggered(trader);
+        let reviewed = null;
+        vortex.client.setReviewer(event => {
+            reviewed = event.intent;
+            return false;
+        });
+
+        await engine.checkOrder(order);
+        assert.equal(reviewed.order.id, order.id);
+        assert.equal(reviewed.order.kind, 'limit');
+        assert.equal(order.status, 'open');
+        assert.ok(engine.isPaused(order.id));
+
+        // Paused orders are skipped by the poll (one poll of the watched account, without the timer)
+        reviewed = null;
+        engine.address = trader;
+        await engine.check();
+        assert.equal(reviewed, null);
+
+        vortex.client.setReviewer(() => true);
+        const filled = reaches(order, 'filled');
+        engine.resume(order.id);
+        await filled;
+        assert.equal(engine.isPaused(order.id), false);
+    });
+
+    await t.test('an order that fails on chain is marked failed', async () => {
+        const order = placeTriggered(trader, peer.balance(trader) * 2n);
+        await engine.checkOrder(order);
+        assert.equal(order.status, 'failed');
+    });
+
+    await t.test('after an account switch only the new account\'s orders run', async () => {
+        const keys = keyPair(4);
+        const other = peer.addAccount({ balance: 1000n * CVX, publicKey: keys.publicKey });
+        const mine = placeTriggered(trader);
+        const theirs = placeTriggered(other);
+
+        vortex.client.setAddress(other);
+        vortex.client.setSigner(Ed25519Signer.fromSeed(keys.seed));
+        const sequence = peer.sequence(other);
+        const balance = peer.balance(other);
+
+        // Still watching the old account: its order is not run with the new account's key
+        await engine.checkOrder(mine);
+        assert.equal(mine.status, 'open');
+        assert.equal(peer.sequence(other), sequence);
+        assert.equal(peer.balance(other), balance);
+
+        // Watching the new account runs its own order
+        const filled = reaches(theirs, 'filled');
+        engine.start(other);
+        await filled;
+        assert.ok(peer.balance(other) < balance - CVX);
+        assert.ok(peer.balance(other, usd) > 0n);
+        assert.equal(mine.status, 'open');
+    });
+});
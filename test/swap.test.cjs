@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+const { promisify } = require('node:util');
+const { sdk, CVX, startChain, connectTrader } = require('./fixture.cjs');
+
+const { TorusLiquidity } = sdk;
+const CLI = path.join(__dirname, '..', 'sdk', 'cli.cjs');
+
+test('Swap flow against the mock peer', async t => {
+    const chain = await startChain();
+    const { peer, trader, usd, gld } = chain;
+    t.after(() => peer.stop());
+
+    let vortex;
+    t.beforeEach(async () => {
+        vortex = await connectTrader(chain);
+        await vortex.resolveToken(usd);
+        await vortex.resolveToken(gld);
+    });
+    t.afterEach(() => vortex.close());
+
+    await t.test('an exact-input swap receives what was quoted', async () => {
+        const before = peer.balance(trader, usd);
+        const quote = await vortex.swap.quote(null, usd, { amountIn: 10n * CVX });
+        const result = await vortex.swap.execute(quote);
+
+        assert.ok(quote.amountOut > 0n);
+        assert.equal(result.amountOut, quote.amountOut);
+        assert.equal(peer.balance(trader, usd) - before, quote.amountOut);
+    });
+
+    await t.test('a token-to-token swap hops through CVX in one transaction', async () => {
+        const usdBefore = peer.balance(trader, usd);
+        const gldBefore = peer.balance(trader, gld);
+        const sequence = peer.sequence(trader);
+
+        const quote = await vortex.swap.quote(usd, gld, { amountIn: 5000n * 10n ** 6n });
+        assert.deepEqual(quote.path, [usd, null, gld]);
+        const result = await vortex.swap.execute(quote);
+
+        assert.equal(result.amountOut, quote.amountOut);
+        assert.equal(usdBefore - peer.balance(trader, usd), quote.amountIn);
+        assert.equal(peer.balance(trader, gld) - gldBefore, quote.amountOut);
+        assert.equal(peer.sequence(trader), sequence + 1);
+    });
+
+    await t.test('an exact-output swap receives exactly the amount asked for', async () => {
+        const gldBefore = peer.balance(trader, gld);
+        const quote = await vortex.swap.quote(null, gld, { amountOut: 250n });
+        const result = await vortex.swap.execute(quote);
+
+        assert.equal(result.amountIn, quote.amountIn);
+        assert.ok(result.amountIn <= quote.maximumInput);
+        assert.equal(peer.balance(trader, gld) - gldBefore, 250n);
+    });
+
+    await t.test('the chain rejects a swap once the price moves past the slippage bound', async () => {
+        const quote = await vortex.swap.quote(null, usd, { amountIn: 10n * CVX }, 50);
+        // Another trade lands first and moves the price by far more than 0.5%
+        await vortex.client.sellCvx(usd, 5000n * CVX);
+
+        const usdBefore = peer.balance(trader, usd);
+        const reservesBefore = peer.reserves(usd);
+        await assert.rejects(vortex.swap.execute(quote), error => {
+            assert.equal(error.code, 'SLIPPAGE');
+            assert.equal(error.retryable, false);
+            return true;
+        });
+        assert.equal(peer.balance(trader, usd), usdBefore);
+        assert.deepEqual(peer.reserves(usd), reservesBefore);
+    });
+
+    await t.test('adding liquidity mints the shares the position predicts', async () => {
+        const position = await vortex.liquidity.getPosition(usd, trader);
+        const tokens = 20000n * 10n ** 6n;
+        const cvx = TorusLiquidity.cvxForTokens(position, tokens);
+        const supplyBefore = peer.reserves(usd).supply;
+
+        const result = await vortex.liquidity.addLiquidity(usd, tokens, cvx);
+        assert.equal(BigInt(result.value), TorusLiquidity.sharesForDeposit(position, tokens));
+        assert.equal(peer.reserves(usd).supply - supplyBefore, BigInt(result.value));
+    });
+
+    await t.test('a reviewer sees the simulated swap, and cancelling signs nothing', async () => {
+        const quote = await vortex.swap.quote(null, usd, { amountIn: 3n * CVX });
+        const submits = peer.requestsTo('/api/v1/transaction/submit').length;
+        const usdBefore = peer.balance(trader, usd);
+
+        let simulation = null;
+        vortex.client.setReviewer(event => {
+            simulation = event.simulation;
+            return false;
+        });
+        await assert.rejects(vortex.swap.execute(quote), { code: 'CANCELLED' });
+
+        assert.ok(simulation.ok);
+        assert.equal(BigInt(simulation.value), quote.amountOut);
+        assert.equal(simulation.changes.find(change => change.token === usd).change, quote.amountOut);
+        assert.equal(simulation.changes.find(change => change.token === null).change, -quote.amountIn);
+        assert.equal(peer.requestsTo('/api/v1/transaction/submit').length, submits);
+        assert.equal(peer.balance(trader, usd), usdBefore);
+    });
+
+    await t.test('history records confirmed and failed swaps', async () => {
+        const quote = await vortex.swap.quote(gld, null, { amountIn: 100n });
+        await vortex.swap.execute(quote);
+        await assert.rejects(vortex.client.sellTokens(gld, 10n ** 12n), { code: 'FUNDS' });
+
+        const swaps = vortex.history.list(trader, { type: 'swap' });
+        assert.deepEqual(swaps.map(record => record.status), ['failed', 'confirmed']);
+        assert.equal(swaps[1].amountOut, quote.amountOut.toString());
+    });
+
+    await t.test('the CLI quotes and swaps against the peer', async () => {
+        const storage = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'vortex-test-')), 'storage.json');
+        t.after(() => fs.rmSync(path.dirname(storage), { recursive: true, force: true }));
+        const run = async (...args) => JSON.parse((await promisify(execFile)(process.execPath,
+            [CLI, ...args, '--peer', chain.url, '--storage', storage],
+            { env: { ...process.env, VORTEX_SEED: chain.keys.seed, VORTEX_ADDRESS: trader }, timeout: 30000 })).stdout);
+
+        const quoted = await run('quote', '1', 'CVX', usd);
+        const usdBefore = peer.balance(trader, usd);
+        const swapped = await run('swap', '1', 'CVX', 'USD');
+
+        assert.equal(quoted.from, 'CVX');
+        assert.deepEqual(quoted.path, ['CVX', 'USD']);
+        assert.equal(swapped.received.amount, quoted.amountOut.amount);
+        assert.equal(peer.balance(trader, usd) - usdBefore, BigInt(swapped.received.amount));
+    });
+});
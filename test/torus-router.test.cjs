@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sdk } = require('./fixture.cjs');
+
+const { TorusQuoteEngine, TorusRouter } = sdk;
+
+const USD = '#100';
+const GLD = '#200';
+const NOMARKET = '#300';
+
+// USD 2,000,000 : 1,000,000 CVX and GLD 100,000 : 500,000 CVX, in base units
+const POOLS = [
+    { market: '#101', token: USD, cvxReserve: 1000000n, tokenReserve: 2000000n },
+    { market: '#201', token: GLD, cvxReserve: 500000n, tokenReserve: 100000n }
+];
+
+// Router over fixed reserves: the client answers loadPools' read with the pools above
+function fixedRouter() {
+    const tokens = [USD, GLD, NOMARKET].map(address => ({ address, symbol: { [USD]: 'USD', [GLD]: 'GLD' }[address] || 'NOM' }));
+    const client = {
+        read: async expressions => expressions.map((expression, index) => {
+            const pool = POOLS.find(item => item.token === tokens[index].address);
+            return pool ? [pool.market, String(pool.cvxReserve), String(pool.tokenReserve)] : null;
+        })
+    };
+    const registry = { tokens, get: address => tokens.find(token => token.address === address) || null };
+    return new TorusRouter(new TorusQuoteEngine(client), registry);
+}
+
+test('findRoute', async t => {
+    await t.test('a token and CVX trade directly in the token\'s market', () => {
+        const sell = TorusRouter.findRoute(POOLS, USD, null);
+        assert.deepEqual(sell, [
+            { market: '#101', tokenIn: USD, tokenOut: null, reserveIn: 2000000n, reserveOut: 1000000n }
+        ]);
+        const buy = TorusRouter.findRoute(POOLS, null, GLD);
+        assert.deepEqual(buy, [
+            { market: '#201', tokenIn: null, tokenOut: GLD, reserveIn: 500000n, reserveOut: 100000n }
+        ]);
+    });
+
+    await t.test('two tokens trade through CVX, the only path Torus offers', () => {
+        const hops = TorusRouter.findRoute(POOLS, USD, GLD);
+        assert.deepEqual(hops.map(hop => hop.market), ['#101', '#201']);
+        assert.deepEqual(TorusRouter.path(hops), [USD, null, GLD]);
+    });
+
+    await t.test('a token without a market has no route', () => {
+        assert.equal(TorusRouter.findRoute(POOLS, NOMARKET, null), null);
+        assert.equal(TorusRouter.findRoute(POOLS, USD, NOMARKET), null);
+    });
+});
+
+test('TorusRouter.quote against fixed reserves', async t => {
+    const router = fixedRouter();
+
+    await t.test('an exact input is quoted hop by hop with the 0.3% fee', async () => {
+        const quote = await router.quote(USD, GLD, 10000n);
+        assert.equal(quote.amountIn, 10000n);
+        assert.equal(quote.amountOut, 979n);
+        assert.deepEqual(quote.path, [USD, null, GLD]);
+        assert.deepEqual(quote.hops.map(hop => [hop.amountIn, hop.amountOut]), [[10000n, 4960n], [4960n, 979n]]);
+        // Mid price gives 1,000 GLD; after two fees 994.009, of which 979 arrive
+        assert.ok(Math.abs(quote.priceImpact - (1 - 979 / 994.009)) < 1e-9);
+    });
+
+    await t.test('selling CVX uses one hop', async () => {
+        const quote = await router.quote(null, USD, 1000n);
+        assert.equal(quote.amountOut, 1992n);
+        assert.equal(quote.amountOut, TorusQuoteEngine.getAmountOut(1000n, 1000000n, 2000000n));
+        assert.deepEqual(quote.path, [null, USD]);
+    });
+
+    await t.test('an exact output costs the least input that delivers it', async () => {
+        const quote = await router.quoteExactOutput(USD, GLD, 979n);
+        assert.equal(quote.exactOutput, true);
+        assert.equal(quote.amountOut, 979n);
+        assert.ok(quote.amountIn <= 10000n);
+        assert.ok((await router.quote(USD, GLD, quote.amountIn)).amountOut >= 979n);
+        assert.ok((await router.quote(USD, GLD, quote.amountIn - 1n)).amountOut < 979n);
+    });
+
+    await t.test('pairs without a route and oversized outputs are refused', async () => {
+        await assert.rejects(router.quote(USD, USD, 1n), /itself/);
+        await assert.rejects(router.quote(NOMARKET, GLD, 1n), /No Torus route from NOM to GLD/);
+        await assert.rejects(router.quoteExactOutput(null, GLD, 100000n), /can deliver that much GLD/);
+    });
+});
@@ -0,0 +1,296 @@
+/**
+ * VorteX Token Registry
+ * Fungible tokens discovered from the chain and saved to localStorage,
+ * plus a searchable picker modal that shows balances
+ */
+const TOKEN_STORAGE_KEY = 'vortex_tokens';
+const ADDRESS_PATTERN = /^#\d+$/;
+
+// Tokens known before the user adds any; markets are read from the chain on connect
+const DEFAULT_TOKENS = [
+    { address: '#207', market: null, symbol: 'Token #207', name: 'Token #207', decimals: 0 },
+    { address: '#130', market: null, symbol: 'Token #130', name: 'Token #130', decimals: 0 }
+];
+
+class TokenRegistry {
+    // Native coin, addressed as null throughout VorteX
+    static CVX = Object.freeze({ address: null, symbol: 'CVX', name: 'Convex Coin', decimals: 9, market: null });
+
+    constructor(convexClient, storage = window.localStorage) {
+        this.client = convexClient;
+        this.storage = storage;
+        this.tokens = this.load();
+    }
+
+    /**
+     * Whether a value looks like a Convex address (#NNN)
+     */
+    static isAddress(value) {
+        return ADDRESS_PATTERN.test(value || '');
+    }
+
+    /**
+     * Read the saved token list, falling back to the defaults
+     */
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(TOKEN_STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                return saved.filter(token => ADDRESS_PATTERN.test(token.address));
+            }
+        } catch (error) {
+            console.error('Failed to read saved tokens:', error);
+        }
+        return DEFAULT_TOKENS.map(token => ({ ...token }));
+    }
+
+    /**
+     * Save the token list (public metadata only)
+     */
+    save() {
+        this.storage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(this.tokens));
+    }
+
+    /**
+     * All tokens, CVX first
+     */
+    list() {
+        return [TokenRegistry.CVX, ...this.tokens];
+    }
+
+    /**
+     * Look up a token by address (null for CVX)
+     */
+    get(address) {
+        if (!address) return TokenRegistry.CVX;
+        return this.tokens.find(token => token.address === address) || null;
+    }
+
+    /**
+     * Tokens whose symbol, name or address contains the query
+     */
+    search(query) {
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle) return this.list();
+        return this.list().filter(token =>
+            token.symbol.toLowerCase().includes(needle)
+            || (token.name || '').toLowerCase().includes(needle)
+            || (token.address || '').includes(needle)
+        );
+    }
+
+    /**
+     * Read a token's decimals, Torus market and metadata from the chain
+     */
+    async fetchMetadata(address) {
+        const token = Cvm.address(address);
+        const core = await this.client.query(Cvm.source`(do (import convex.fungible :as fun) (import torus.exchange :as torus)
+            [(fun/decimals ${token}) (torus/get-market ${token})])`);
+        const [decimals, market] = core.value || [];
+
+        // Symbol and name come from the token's optional metadata callable
+        let metadata = {};
+        try {
+            const result = await this.client.query(Cvm.source`(call ${token} (metadata))`);
+            metadata = result.value || {};
+        } catch (error) {
+            console.log(`No metadata published by ${address}`);
+        }
+
+        return {
+            address,
+            symbol: metadata.symbol || `Token ${address}`,
+            name: metadata.name || `Token ${address}`,
+            decimals: Number.isInteger(decimals) ? decimals : 0,
+            market: market ? ConvexClient.formatAddress(market) : null
+        };
+    }
+
+    /**
+     * Register a fungible token by address
+     */
+    async addToken(address, overrides = {}) {
+        address = (address || '').trim();
+        if (!ADDRESS_PATTERN.test(address)) {
+            throw new Error(`Invalid token address "${address}" (expected #NNN)`);
+        }
+        if (this.get(address)) {
+            throw new Error(`${address} is already registered`);
+        }
+
+        const token = { ...(await this.fetchMetadata(address)), ...overrides };
+        this.tokens.push(token);
+        this.save();
+        console.log(`🪙 Registered ${token.symbol} (${address})`);
+        return token;
+    }
+
+    /**
+     * Re-read a registered token's details from the chain
+     */
+    async refresh(address) {
+        const index = this.tokens.findIndex(token => token.address === address);
+        if (index === -1) return null;
+        this.tokens[index] = { ...this.tokens[index], ...(await this.fetchMetadata(address)) };
+        this.save();
+        return this.tokens[index];
+    }
+
+    /**
+     * Drop a token from the registry
+     */
+    removeToken(address) {
+        this.tokens = this.tokens.filter(token => token.address !== address);
+        this.save();
+    }
+
+    /**
+     * Balances of every registered token for an owner, in one query
+     */
+    async getBalances(owner) {
+        const account = Cvm.address(owner);
+        const values = await this.client.read([
+            Cvm.source`(str (balance ${account}))`,
+            ...this.tokens.map(token => Cvm.source`(str (fun/balance ${Cvm.address(token.address)} ${account}))`)
+        ]);
+        const balances = new Map();
+        this.list().forEach((token, index) => balances.set(token.address, Amount.toBigInt(values[index])));
+        return balances;
+    }
+}
+
+/**
+ * Searchable token picker modal
+ */
+class TokenPicker {
+    constructor(registry, getOwner = () => null) {
+        this.registry = registry;
+        this.getOwner = getOwner;
+        this.balances = new Map();
+        this.onSelect = null;
+        this.exclude = undefined;
+        this.modal = null;
+    }
+
+    /**
+     * Build the modal once and attach it to the page
+     */
+    build() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-xl font-bold">Select a token</h3>
+                    <button data-role="close" class="hover:text-purple-200" title="Close">✕</button>
+                </div>
+                <input data-role="search" type="text" placeholder="Search name, symbol or paste #address"
+                    class="token-input rounded-lg w-full px-3 py-2 mb-4 focus:outline-none">
+                <div data-role="list" class="max-h-80 overflow-y-auto mb-4"></div>
+                <form data-role="add" class="flex space-x-2 text-sm">
+                    <input data-role="address" type="text" placeholder="Add token by address, e.g. #207"
+                        class="token-input rounded-lg w-full px-3 py-2 focus:outline-none">
+                    <button type="submit" class="bg-purple-600 hover:bg-purple-700 px-4 py-2 rounded-lg font-medium whitespace-nowrap">Add</button>
+                </form>
+                <div data-role="error" class="text-sm text-red-300 mt-2 hidden"></div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('[data-role="close"]').addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) this.close();
+        });
+        this.modal.querySelector('[data-role="search"]').addEventListener('input', () => this.render());
+        this.modal.querySelector('[data-role="add"]').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.addToken();
+        });
+    }
+
+    /**
+     * Open the picker; onSelect receives the chosen token
+     */
+    async open(onSelect, exclude = undefined) {
+        if (!this.modal) this.build();
+        this.onSelect = onSelect;
+        this.exclude = exclude;
+        this.modal.querySelector('[data-role="search"]').value = '';
+        this.modal.querySelector('[data-role="error"]').classList.add('hidden');
+        this.modal.style.display = 'block';
+        this.render();
+
+        const owner = this.getOwner();
+        if (owner) {
+            try {
+                this.balances = await this.registry.getBalances(owner);
+                this.render();
+            } catch (error) {
+                console.error('Failed to load picker balances:', error);
+            }
+        }
+    }
+
+    /**
+     * Hide the picker
+     */
+    close() {
+        if (this.modal) this.modal.style.display = 'none';
+    }
+
+    /**
+     * Draw the filtered token list
+     */
+    render() {
+        const query = this.modal.querySelector('[data-role="search"]').value;
+        const list = this.modal.querySelector('[data-role="list"]');
+        list.innerHTML = '';
+
+        const tokens = this.registry.search(query).filter(token => token.address !== this.exclude);
+        if (tokens.length === 0) {
+            list.innerHTML = '<p class="text-sm text-white/60">No matching tokens. Add one by address below.</p>';
+        }
+
+        tokens.forEach(token => {
+            const row = document.createElement('button');
+            row.className = 'w-full token-input rounded-lg p-3 mb-2 flex justify-between items-center text-left hover:bg-white/10';
+            row.innerHTML = `
+                <div><div class="font-medium"></div><div class="text-sm text-white/60"></div></div>
+                <div class="text-sm"></div>
+            `;
+            row.querySelector('.font-medium').textContent = token.symbol;
+            row.querySelector('.text-white\\/60').textContent = `${token.name}${token.address ? ' · ' + token.address : ''}`;
+            const balance = this.balances.get(token.address);
+            row.lastElementChild.textContent = balance === undefined
+                ? ''
+                : Amount.formatUnits(balance, token.decimals, { maxFractionDigits: 6, grouping: true });
+            row.addEventListener('click', () => {
+                this.close();
+                if (this.onSelect) this.onSelect(token);
+            });
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Register the address typed into the add form
+     */
+    async addToken() {
+        const input = this.modal.querySelector('[data-role="address"]');
+        const error = this.modal.querySelector('[data-role="error"]');
+        error.classList.add('hidden');
+        try {
+            const token = await this.registry.addToken(input.value);
+            input.value = '';
+            this.modal.querySelector('[data-role="search"]').value = token.address;
+            this.render();
+        } catch (err) {
+            error.textContent = err.message;
+            error.classList.remove('hidden');
+        }
+    }
+}
+
+// Export for use
+window.TokenRegistry = TokenRegistry;
+window.TokenPicker = TokenPicker;
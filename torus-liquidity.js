@@ -0,0 +1,146 @@
+/**
+ * VorteX Torus Liquidity
+ * Reads pool reserves and LP share positions, and sizes deposits and
+ * withdrawals from the current reserve ratio
+ */
+const SHARE_BPS = 10000n;
+
+class TorusLiquidity {
+    constructor(convexClient) {
+        this.client = convexClient;
+    }
+
+    /**
+     * Reserves, LP supply and an owner's LP shares for a token's market (null if none)
+     */
+    async getPosition(tokenAddress, owner) {
+        const token = Cvm.address(tokenAddress);
+        const [position] = await this.client.read([Cvm.source`(let [m (torus/get-market ${token})]
+            (when m [m (str (balance m)) (str (fun/balance ${token} m))
+                     (str (fun/balance m ${Cvm.address(owner)})) (str (call m (total-supply)))]))`]);
+        if (!position) return null;
+
+        const [market, cvxReserve, tokenReserve, shares, totalShares] = position;
+        return TorusLiquidity.describe({
+            token: tokenAddress,
+            market: ConvexClient.formatAddress(market),
+            cvxReserve: Amount.toBigInt(cvxReserve),
+            tokenReserve: Amount.toBigInt(tokenReserve),
+            shares: Amount.toBigInt(shares),
+            totalShares: Amount.toBigInt(totalShares)
+        });
+    }
+
+    /**
+     * Add derived figures (pool share and underlying amounts) to a position
+     */
+    static describe(position) {
+        const { shares, totalShares } = position;
+        return {
+            ...position,
+            poolShare: totalShares > 0n ? Number(shares * 1000000n / totalShares) / 1000000 : 0,
+            underlyingCvx: totalShares > 0n ? shares * position.cvxReserve / totalShares : 0n,
+            underlyingTokens: totalShares > 0n ? shares * position.tokenReserve / totalShares : 0n
+        };
+    }
+
+    /**
+     * CVX needed to deposit a token amount at the current ratio (rounded up)
+     */
+    static cvxForTokens(position, tokenAmount) {
+        if (position.tokenReserve === 0n) {
+            throw new Error('Market has no liquidity yet');
+        }
+        const numerator = BigInt(tokenAmount) * position.cvxReserve;
+        return (numerator + position.tokenReserve - 1n) / position.tokenReserve;
+    }
+
+    /**
+     * Tokens matching a CVX amount at the current ratio (rounded up)
+     */
+    static tokensForCvx(position, cvxAmount) {
+        if (position.cvxReserve === 0n) {
+            throw new Error('Market has no liquidity yet');
+        }
+        const numerator = BigInt(cvxAmount) * position.tokenReserve;
+        return (numerator + position.cvxReserve - 1n) / position.cvxReserve;
+    }
+
+    /**
+     * LP shares minted for a deposit
+     */
+    static sharesForDeposit(position, tokenAmount) {
+        if (position.tokenReserve === 0n || position.totalShares === 0n) return 0n;
+        return BigInt(tokenAmount) * position.totalShares / position.tokenReserve;
+    }
+
+    /**
+     * Shares burned and amounts returned when withdrawing a percentage of a position
+     */
+    static quoteWithdraw(position, percent) {
+        if (!(percent > 0 && percent <= 100)) {
+            throw new Error('Withdraw percentage must be between 0 and 100');
+        }
+        if (position.shares === 0n) {
+            throw new Error('You have no liquidity in this market');
+        }
+
+        const bps = BigInt(Math.round(percent * 100));
+        const shares = bps === SHARE_BPS ? position.shares : position.shares * bps / SHARE_BPS;
+        return {
+            shares,
+            cvxOut: shares * position.cvxReserve / position.totalShares,
+            tokenOut: shares * position.tokenReserve / position.totalShares
+        };
+    }
+
+    /**
+     * CVX to pair with a token amount so the pool opens at a price (CVX base units per whole token)
+     */
+    static cvxForPrice(tokenAmount, tokenDecimals, priceUnits) {
+        return BigInt(tokenAmount) * BigInt(priceUnits) / 10n ** BigInt(tokenDecimals);
+    }
+
+    /**
+     * A token's market address, or null when Torus has none
+     */
+    async getMarket(tokenAddress) {
+        const result = await this.client.query(
+            ConvexClient.torusSource(Cvm.source`(torus/get-market ${Cvm.address(tokenAddress)})`)
+        );
+        return result.value ? ConvexClient.formatAddress(result.value) : null;
+    }
+
+    /**
+     * Create a market for a token with no Torus market, seeding it at tokenAmount : cvxAmount
+     */
+    async createMarket(tokenAddress, tokenAmount, cvxAmount) {
+        if (BigInt(tokenAmount) <= 0n || BigInt(cvxAmount) <= 0n) {
+            throw new Error('A new market needs both tokens and CVX');
+        }
+        if (await this.getMarket(tokenAddress)) {
+            throw new Error(`${tokenAddress} already has a Torus market`);
+        }
+        const result = await this.client.createMarket(tokenAddress, tokenAmount, cvxAmount);
+        const [market, shares] = result.value || [];
+        console.log(`🏗️ Created Torus market ${ConvexClient.formatAddress(market)} for ${tokenAddress}`);
+        return { market: ConvexClient.formatAddress(market), shares: Amount.toBigInt(shares) };
+    }
+
+    /**
+     * Deposit tokens and CVX into a token's market
+     */
+    async addLiquidity(tokenAddress, tokenAmount, cvxAmount) {
+        return await this.client.addLiquidity(tokenAddress, tokenAmount, cvxAmount);
+    }
+
+    /**
+     * Burn LP shares for the underlying CVX and tokens
+     */
+    async withdrawLiquidity(tokenAddress, shares) {
+        return await this.client.withdrawLiquidity(tokenAddress, shares);
+    }
+}
+
+// Export for use
+window.TorusLiquidity = TorusLiquidity;
@@ -0,0 +1,149 @@
+/**
+ * VorteX Torus Quote Engine
+ * Constant-product swap quotes computed from live Torus market reserves
+ */
+
+// Torus charges 0.3% on the input of every hop
+const TORUS_FEE_BPS = 30n;
+const BPS_DENOMINATOR = 10000n;
+
+// Slippage tolerance presets, in basis points
+const SLIPPAGE_PRESETS_BPS = [10, 50, 100];
+const DEFAULT_SLIPPAGE_BPS = 50;
+const MAX_SLIPPAGE_BPS = 5000;
+
+class TorusQuoteEngine {
+    static SLIPPAGE_PRESETS_BPS = SLIPPAGE_PRESETS_BPS;
+    static DEFAULT_SLIPPAGE_BPS = DEFAULT_SLIPPAGE_BPS;
+
+    constructor(convexClient, feeBps = TORUS_FEE_BPS) {
+        this.client = convexClient;
+        this.feeBps = BigInt(feeBps);
+    }
+
+    /**
+     * Constant-product output for one hop, fee taken from the input
+     */
+    static getAmountOut(amountIn, reserveIn, reserveOut, feeBps = TORUS_FEE_BPS) {
+        amountIn = BigInt(amountIn);
+        reserveIn = BigInt(reserveIn);
+        reserveOut = BigInt(reserveOut);
+
+        if (amountIn <= 0n) return 0n;
+        if (reserveIn <= 0n || reserveOut <= 0n) {
+            throw new Error('Market has no liquidity');
+        }
+
+        const amountInWithFee = amountIn * (BPS_DENOMINATOR - BigInt(feeBps));
+        const numerator = amountInWithFee * reserveOut;
+        const denominator = reserveIn * BPS_DENOMINATOR + amountInWithFee;
+        return numerator / denominator;
+    }
+
+    /**
+     * Input needed for an exact output from one hop, rounded up so the pool always pays out
+     */
+    static getAmountIn(amountOut, reserveIn, reserveOut, feeBps = TORUS_FEE_BPS) {
+        amountOut = BigInt(amountOut);
+        reserveIn = BigInt(reserveIn);
+        reserveOut = BigInt(reserveOut);
+
+        if (amountOut <= 0n) return 0n;
+        if (reserveIn <= 0n || reserveOut <= 0n) {
+            throw new Error('Market has no liquidity');
+        }
+        if (amountOut >= reserveOut) {
+            throw new Error('Not enough liquidity in the market for that amount');
+        }
+
+        const numerator = reserveIn * amountOut * BPS_DENOMINATOR;
+        const denominator = (reserveOut - amountOut) * (BPS_DENOMINATOR - BigInt(feeBps));
+        return numerator / denominator + 1n;
+    }
+
+    /**
+     * Highest input accepted for a quoted input under a slippage tolerance (rounded up)
+     */
+    static maximumInput(amountIn, slippageBps) {
+        const bps = TorusQuoteEngine.validateSlippage(slippageBps);
+        const numerator = BigInt(amountIn) * (BPS_DENOMINATOR + BigInt(bps));
+        return (numerator + BPS_DENOMINATOR - 1n) / BPS_DENOMINATOR;
+    }
+
+    /**
+     * Lowest output accepted for a quoted output under a slippage tolerance
+     */
+    static minimumOutput(amountOut, slippageBps) {
+        const bps = TorusQuoteEngine.validateSlippage(slippageBps);
+        return BigInt(amountOut) * (BPS_DENOMINATOR - BigInt(bps)) / BPS_DENOMINATOR;
+    }
+
+    /**
+     * Check a slippage tolerance (in basis points) is usable
+     */
+    static validateSlippage(slippageBps) {
+        if (!Number.isInteger(slippageBps) || slippageBps < 0) {
+            throw new Error('Slippage tolerance must be a positive percentage');
+        }
+        if (slippageBps > MAX_SLIPPAGE_BPS) {
+            throw new Error(`Slippage tolerance cannot exceed ${MAX_SLIPPAGE_BPS / 100}%`);
+        }
+        return slippageBps;
+    }
+
+    /**
+     * Walk a list of hops backwards from the wanted output, then quote forwards from the input found
+     */
+    quoteHopsExactOutput(hops, amountOut) {
+        let amount = amountOut;
+        for (let i = hops.length - 1; i >= 0; i--) {
+            amount = TorusQuoteEngine.getAmountIn(amount, hops[i].reserveIn, hops[i].reserveOut, this.feeBps);
+        }
+        // Forward quote gives per-hop figures; rounding up means it delivers at least amountOut
+        return { ...this.quoteHops(hops, amount), amountOut, exactOutput: true };
+    }
+
+    /**
+     * Walk a list of hops, returning per-hop outputs, price impact and execution price
+     */
+    quoteHops(hops, amountIn) {
+        let amount = amountIn;
+        // Output at the current mid price with no fee, used to isolate price impact
+        let spotNumerator = amountIn;
+        let spotDenominator = 1n;
+        let feeMultiplier = 1;
+
+        const quotedHops = hops.map(hop => {
+            const amountOut = TorusQuoteEngine.getAmountOut(amount, hop.reserveIn, hop.reserveOut, this.feeBps);
+            const quoted = { ...hop, amountIn: amount, amountOut };
+
+            spotNumerator *= hop.reserveOut;
+            spotDenominator *= hop.reserveIn;
+            feeMultiplier *= 1 - Number(this.feeBps) / Number(BPS_DENOMINATOR);
+
+            amount = amountOut;
+            return quoted;
+        });
+
+        const amountOut = amount;
+        const spotOutput = Number(spotNumerator) / Number(spotDenominator);
+        const expectedAfterFees = spotOutput * feeMultiplier;
+        const priceImpact = expectedAfterFees > 0
+            ? Math.max(0, 1 - Number(amountOut) / expectedAfterFees)
+            : 0;
+
+        return {
+            amountIn,
+            amountOut,
+            hops: quotedHops,
+            spotPrice: Number(amountIn) > 0 ? spotOutput / Number(amountIn) : 0,
+            executionPrice: amountIn > 0n ? Number(amountOut) / Number(amountIn) : 0,
+            priceImpact,
+            feeBps: this.feeBps,
+            totalFee: 1 - feeMultiplier
+        };
+    }
+}
+
+// Export for use
+window.TorusQuoteEngine = TorusQuoteEngine;
@@ -0,0 +1,127 @@
+/**
+ * VorteX Torus Router
+ * Finds the path between two tokens through the registered Torus markets and
+ * quotes it. Every Torus market pairs one token with CVX, so each pair has
+ * exactly one path: direct when either side is CVX, otherwise token → CVX → token.
+ */
+
+class TorusRouter {
+    constructor(quoteEngine, tokenRegistry) {
+        this.quoteEngine = quoteEngine;
+        this.registry = tokenRegistry;
+    }
+
+    /**
+     * Reserves of every registered token's market, read in one query
+     */
+    async loadPools() {
+        const tokens = this.registry.tokens;
+        if (tokens.length === 0) return [];
+
+        const entries = await this.quoteEngine.client.read(tokens.map(token => {
+            const address = Cvm.address(token.address);
+            return Cvm.source`(let [m (torus/get-market ${address})]
+                (when m [m (str (balance m)) (str (fun/balance ${address} m))]))`;
+        }));
+
+        const pools = [];
+        entries.forEach((entry, index) => {
+            if (!entry) return;
+            const [market, cvxReserve, tokenReserve] = entry;
+            const pool = {
+                market: ConvexClient.formatAddress(market),
+                token: tokens[index].address,
+                cvxReserve: Amount.toBigInt(cvxReserve),
+                tokenReserve: Amount.toBigInt(tokenReserve)
+            };
+            if (pool.cvxReserve > 0n && pool.tokenReserve > 0n) pools.push(pool);
+        });
+        return pools;
+    }
+
+    /**
+     * Hops from one token to another through their markets (null when a market is missing)
+     */
+    static findRoute(pools, fromToken, toToken) {
+        const byToken = new Map(pools.map(pool => [pool.token, pool]));
+        const hops = [];
+        if (fromToken) {
+            const pool = byToken.get(fromToken);
+            if (!pool) return null;
+            hops.push({
+                market: pool.market, tokenIn: pool.token, tokenOut: null,
+                reserveIn: pool.tokenReserve, reserveOut: pool.cvxReserve
+            });
+        }
+        if (toToken) {
+            const pool = byToken.get(toToken);
+            if (!pool) return null;
+            hops.push({
+                market: pool.market, tokenIn: null, tokenOut: pool.token,
+                reserveIn: pool.cvxReserve, reserveOut: pool.tokenReserve
+            });
+        }
+        return hops;
+    }
+
+    /**
+     * Route for a pair from the current reserves, or an error naming the pair
+     */
+    async route(fromToken, toToken) {
+        if (fromToken === toToken) {
+            throw new Error('Cannot swap a token for itself');
+        }
+        const hops = TorusRouter.findRoute(await this.loadPools(), fromToken, toToken);
+        if (!hops) {
+            throw new Error(`No Torus route from ${this.symbol(fromToken)} to ${this.symbol(toToken)}`);
+        }
+        return hops;
+    }
+
+    /**
+     * Plan for selling amountIn of one token for another
+     */
+    async quote(fromToken, toToken, amountIn) {
+        const hops = await this.route(fromToken, toToken);
+        return TorusRouter.plan(this.quoteEngine.quoteHops(hops, BigInt(amountIn)));
+    }
+
+    /**
+     * Plan for buying exactly amountOut of one token with another
+     */
+    async quoteExactOutput(fromToken, toToken, amountOut) {
+        const hops = await this.route(fromToken, toToken);
+        let quote;
+        try {
+            quote = this.quoteEngine.quoteHopsExactOutput(hops, BigInt(amountOut));
+        } catch (error) {
+            throw new Error(`No Torus route can deliver that much ${this.symbol(toToken)}`);
+        }
+        return { ...TorusRouter.plan(quote), exactOutput: true };
+    }
+
+    /**
+     * Plan for a quoted route: its {amountIn, hops} as ConvexClient.swapRoute executes them, and its path
+     */
+    static plan(quote) {
+        return { ...quote, path: TorusRouter.path(quote.hops) };
+    }
+
+    /**
+     * Token addresses visited by a route, e.g. ['#130', null, '#207']
+     */
+    static path(hops) {
+        return [hops[0].tokenIn, ...hops.map(hop => hop.tokenOut)];
+    }
+
+    /**
+     * Display symbol for a token address
+     */
+    symbol(address) {
+        const token = this.registry.get(address);
+        return token ? token.symbol : address;
+    }
+}
+
+// Export for use
+window.TorusRouter = TorusRouter;
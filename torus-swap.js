@@ -0,0 +1,60 @@
+/**
+ * VorteX Torus Swap
+ * Quote a swap with its slippage bound, then execute it: the one swap path
+ * shared by the page and the Node SDK/CLI
+ */
+class TorusSwap {
+    constructor(router, convexClient) {
+        this.router = router;
+        this.client = convexClient;
+    }
+
+    /**
+     * Add the on-chain bound for a slippage tolerance: a minimum output when selling
+     * an exact input, a maximum input when buying an exact output
+     */
+    static withBounds(quote, slippageBps) {
+        slippageBps = TorusQuoteEngine.validateSlippage(slippageBps);
+        return quote.exactOutput
+            ? { ...quote, slippageBps, maximumInput: TorusQuoteEngine.maximumInput(quote.amountIn, slippageBps) }
+            : { ...quote, slippageBps, minimumOutput: TorusQuoteEngine.minimumOutput(quote.amountOut, slippageBps) };
+    }
+
+    /**
+     * Best plan for selling amountIn, or for buying exactly amountOut, with its bound
+     */
+    async quote(fromToken, toToken, { amountIn = null, amountOut = null }, slippageBps = TorusQuoteEngine.DEFAULT_SLIPPAGE_BPS) {
+        if ((amountIn === null) === (amountOut === null)) {
+            throw new Error('Give either an amount to sell or an amount to buy');
+        }
+        const quote = amountOut === null
+            ? await this.router.quote(fromToken, toToken, amountIn)
+            : await this.router.quoteExactOutput(fromToken, toToken, amountOut);
+        return TorusSwap.withBounds({ ...quote, fromToken, toToken }, slippageBps);
+    }
+
+    /**
+     * Submit a bounded quote in one transaction; the chain aborts past the bound.
+     * The client retries it only for errors raised before anything could reach the chain.
+     * details are added to the transaction intent shown at review.
+     * Resolves with the transaction result as the peer returned it.
+     */
+    send(quote, details = {}) {
+        return quote.exactOutput
+            ? this.client.swapExactOutput(quote.fromToken, quote.toToken, quote.amountOut, quote.maximumInput, details)
+            : this.client.swapRoute(quote, quote.minimumOutput, details);
+    }
+
+    /**
+     * Execute a bounded quote (see send), resolving with what was actually paid and received
+     */
+    async execute(quote, details = {}) {
+        const result = await this.send(quote, details);
+        return quote.exactOutput
+            ? { ...result, amountIn: Amount.toBigInt(result.value), amountOut: quote.amountOut }
+            : { ...result, amountIn: quote.amountIn, amountOut: Amount.toBigInt(result.value) };
+    }
+}
+
+// Export for use
+window.TorusSwap = TorusSwap;
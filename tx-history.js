@@ -0,0 +1,153 @@
+/**
+ * VorteX Transaction History
+ * Every transaction sent through ConvexClient.transact, saved per account
+ * in localStorage, with filtering and CSV/JSON export
+ */
+const HISTORY_STORAGE_KEY = 'vortex_history';
+const HISTORY_LIMIT = 500;
+
+// Column order for CSV export (amounts in base units)
+const HISTORY_COLUMNS = [
+    'timestamp', 'address', 'type', 'status', 'hash', 'sequence', 'tokenIn', 'amountIn', 'tokenOut', 'amountOut',
+    'token', 'cvxAmount', 'juice', 'errorCode', 'error', 'source'
+];
+
+class TransactionHistory {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.records = this.load();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Read saved records, keyed by account address
+     */
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(HISTORY_STORAGE_KEY));
+            if (saved && typeof saved === 'object' && !Array.isArray(saved)) return saved;
+        } catch (error) {
+            console.error('Failed to read transaction history:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Save all records
+     */
+    save() {
+        this.storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(this.records));
+    }
+
+    /**
+     * Record every transaction the client submits
+     */
+    attach(convexClient) {
+        return convexClient.onTransaction(event => this.record(event));
+    }
+
+    /**
+     * Be told when records change; returns an unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Turn a finished client transaction event into a stored record
+     */
+    record(event) {
+        if (!event.address || !['confirmed', 'failed'].includes(event.status)) return null;
+        // Cancelled at review: nothing was signed or sent
+        if (event.error && event.error.code === 'CANCELLED') return null;
+
+        const intent = event.intent || {};
+        const value = event.result ? event.result.value : undefined;
+        const record = {
+            id: `${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+            timestamp: new Date().toISOString(),
+            address: event.address,
+            type: intent.type || 'other',
+            status: event.status,
+            hash: event.hash || null,
+            sequence: event.sequence ?? null,
+            source: event.source,
+            tokenIn: intent.tokenIn === undefined ? null : intent.tokenIn,
+            tokenOut: intent.tokenOut === undefined ? null : intent.tokenOut,
+            token: intent.token || null,
+            // Whichever side the intent leaves open is what the transaction returned
+            amountIn: TransactionHistory.amountString(intent.amountIn ?? (intent.amountOut != null ? value : null)),
+            amountOut: TransactionHistory.amountString(intent.amountOut ?? (intent.amountIn != null ? value : null)),
+            cvxAmount: TransactionHistory.amountString(intent.cvxAmount),
+            minimumOutput: TransactionHistory.amountString(intent.minimumOutput),
+            maximumInput: TransactionHistory.amountString(intent.maximumInput),
+            juice: event.result?.info?.juice ?? event.error?.result?.info?.juice ?? null,
+            errorCode: event.error ? event.error.code || null : null,
+            error: event.error ? event.error.message : null
+        };
+
+        const list = this.records[record.address] || [];
+        list.unshift(record);
+        this.records[record.address] = list.slice(0, HISTORY_LIMIT);
+        this.save();
+        this.listeners.forEach(listener => listener(record));
+        return record;
+    }
+
+    /**
+     * Integer amounts as decimal strings so they survive JSON exactly
+     */
+    static amountString(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'bigint') return value.toString();
+        if (typeof value === 'number' && Number.isFinite(value)) return BigInt(Math.trunc(value)).toString();
+        if (typeof value === 'string' && /^-?\d+$/.test(value)) return value;
+        return null;
+    }
+
+    /**
+     * An account's records, newest first, narrowed by optional filters
+     */
+    list(address, { status = '', type = '', token = '', since = null } = {}) {
+        const needle = token.trim().toLowerCase();
+        return (this.records[address] || []).filter(record =>
+            (!status || record.status === status)
+            && (!type || record.type === type)
+            && (!since || new Date(record.timestamp) >= since)
+            && (!needle || [record.tokenIn, record.tokenOut, record.token, record.hash]
+                .some(value => (value || 'cvx').toLowerCase().includes(needle)))
+        );
+    }
+
+    /**
+     * Forget an account's records
+     */
+    clear(address) {
+        delete this.records[address];
+        this.save();
+        this.listeners.forEach(listener => listener(null));
+    }
+
+    /**
+     * Records as a pretty-printed JSON file body
+     */
+    static toJSON(records) {
+        return JSON.stringify(records, null, 2);
+    }
+
+    /**
+     * Records as CSV, one row per transaction
+     */
+    static toCSV(records) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = records.map(record => HISTORY_COLUMNS.map(column => escape(record[column])).join(','));
+        return [HISTORY_COLUMNS.join(','), ...rows].join('\n');
+    }
+}
+
+// Export for use
+window.TransactionHistory = TransactionHistory;
@@ -6,35 +6,45 @@ class VorteXInterface {
     constructor() {
         this.convexClient = null;
         this.isConnected = false;
-        this.isSwapping = false;
         
-        // Token configuration - using only CVX for now until we get real token addresses
-        this.tokens = {
-            'CVX': null,           // Native CVX (no address needed)
-            'CVM': null,           // Maps to CVX
-            'PAI': null,           // Will use CVX balance until real address provided
-            'USDC': null,          // Will use CVX balance until real address provided
-            'TOKEN': null          // Will use CVX balance until real address provided
-        };        
+        // Toasts with a session log, and busy state per component ('connect', 'swap')
+        this.notifications = new NotificationCenter();
+        this.loading = new LoadingState();
+        
+        // Token registry (saved as vortex_tokens) and its picker
+        this.tokenRegistry = new TokenRegistry(null);
+        this.tokenPicker = new TokenPicker(this.tokenRegistry, () => this.convexClient?.address);
         
         // Current swap state
         this.fromToken = 'CVX';    // Default: swapping from CVX
-        this.toToken = 'PAI';      // Default: swapping to PAI
-        this.fromAmount = 0;
-        this.toAmount = 0;
+        this.toToken = this.tokenRegistry.tokens[0]?.symbol || 'CVX';
+        this.fromAmount = 0n;
+        this.toAmount = 0n;
+        this.quoteEngine = null;
+        this.router = null;
+        this.swap = null;
+        this.quoteRequestId = 0;
+        
+        // Stops the live balance reads of the current pair (see watchBalances)
+        this.unwatchBalances = null;
     }
 
     /**
-     * Format large numbers with commas
+     * Format a base-unit balance in the token's display units, with commas
      */
-    formatBalance(balance) {
-        if (!balance || balance === 0) return '0';
-        
-        // Convert to number if it's a string
-        const num = typeof balance === 'string' ? parseFloat(balance) : balance;
-        
-        // Format with commas
-        return num.toLocaleString('en-US');
+    formatBalance(balance, tokenSymbol) {
+        return Amount.formatUnits(Amount.toBigInt(balance), this.getTokenDecimals(tokenSymbol), {
+            maxFractionDigits: 6,
+            grouping: true
+        });
+    }
+
+    /**
+     * Decimals of a token symbol (CVX uses the native coin's)
+     */
+    getTokenDecimals(tokenSymbol) {
+        const address = this.getTokenAddress(tokenSymbol);
+        return address ? this.tokenRegistry.get(address).decimals : TokenRegistry.CVX.decimals;
     }
 
     /**
@@ -80,7 +90,7 @@ class VorteXInterface {
         }
 
         // Input field for "You pay" amount
-        const fromInput = document.querySelector('.token-input input[type="number"]');
+        const fromInput = document.querySelector('.token-input input');
         if (fromInput) {
             fromInput.addEventListener('input', (e) => this.onFromAmountChange(e.target.value));
         }
@@ -93,13 +103,6 @@ class VorteXInterface {
                 this.showTokenSelector(index === 0 ? 'from' : 'to');
             });
         });
-
-        // Update balances every 15 seconds when connected
-        setInterval(() => {
-            if (this.isConnected) {
-                this.updateBalances();
-            }
-        }, 15000);
     }
 
     /**
@@ -107,9 +110,13 @@ class VorteXInterface {
      */
     async toggleConnection() {
         if (this.isConnected) {
-            // Disconnect
+            // Disconnect (closing the client drops its live reads)
+            this.unwatchBalances = null;
             this.convexClient.close();
             this.convexClient = null;
+            this.quoteEngine = null;
+            this.router = null;
+            this.swap = null;
             this.isConnected = false;
             this.updateConnectionStatus(false);
             this.showNotification('Disconnected from Convex', 'info');
@@ -123,23 +130,75 @@ class VorteXInterface {
      * Connect to Convex wallet
      */
     async connectWallet() {
+        if (this.loading.isBusy('connect')) return;
+
         try {
-            this.showLoading('Connecting to Convex...');
-            
-            // Create and connect to Convex client
-            this.convexClient = await ConvexClient.connect('http://peer.convex.live:8080');
-            this.isConnected = true;
+            await this.loading.run('connect', async () => {
+                // Create and connect to Convex client on the saved network's peers
+                this.convexClient = await ConvexClient.connect(this.getNetwork().peers);
+                this.convexClient.setReviewer(event => this.reviewTransaction(event));
+                this.convexClient.onTransaction(event => {
+                    if (event.status === 'retrying') {
+                        this.showNotification(`${event.error.message} - retrying (attempt ${event.attempt + 1})`, 'warning', {
+                            key: `retry-${event.id}`
+                        });
+                    }
+                });
+                this.quoteEngine = new TorusQuoteEngine(this.convexClient);
+                this.router = new TorusRouter(this.quoteEngine, this.tokenRegistry);
+                this.swap = new TorusSwap(this.router, this.convexClient);
+                this.tokenRegistry.client = this.convexClient;
+                this.isConnected = true;
+                
+                this.updateConnectionStatus(true);
+                this.watchBalances();
+            }, { element: document.querySelector('nav button'), label: 'Connecting to Convex...' });
             
-            this.updateConnectionStatus(true);
-            this.updateBalances();
-            
-            this.hideLoading();
             this.showNotification('Connected to Convex network!', 'success');
             
         } catch (error) {
             console.error('Failed to connect wallet:', error);
-            this.hideLoading();
-            this.showNotification('Failed to connect to Convex network. Please try again.', 'error');
+            this.showNotification('Failed to connect to Convex network.', 'error', {
+                actions: [{ label: 'Retry', run: () => this.connectWallet() }]
+            });
+        }
+    }
+
+    /**
+     * Ask the user to approve a transaction before it is queued, then its prepared hash before signing
+     */
+    async reviewTransaction(event) {
+        const { simulation } = event;
+        const lines = [];
+        if (event.hash) {
+            lines.push(`Hash to sign: ${event.hash}`);
+        }
+        if (simulation.ok) {
+            lines.push(`Predicted result: ${JSON.stringify(simulation.value)}`);
+        } else {
+            lines.push(`Predicted to fail: ${simulation.error.describe()}`);
+        }
+        if (simulation.fee !== null) {
+            lines.push(`Estimated fee: ~${Amount.formatUnits(simulation.fee, 9, { maxFractionDigits: 6 })} CVX`);
+        }
+        return this.notifications.ask(lines.join('\n'), {
+            title: event.hash ? 'Sign this transaction?' : 'Review this transaction',
+            details: event.source,
+            confirmLabel: !event.hash
+                ? (simulation.ok ? 'Continue' : 'Continue anyway')
+                : (simulation.ok ? 'Confirm & Sign' : 'Sign anyway')
+        });
+    }
+
+    /**
+     * Network profile saved in vortex_settings (mainnet unless chosen otherwise)
+     */
+    getNetwork() {
+        try {
+            const settings = JSON.parse(localStorage.getItem('vortex_settings') || '{}');
+            return ConvexClient.network(settings.network);
+        } catch (error) {
+            return ConvexClient.network();
         }
     }
 
@@ -198,21 +257,23 @@ class VorteXInterface {
         if (!this.isConnected || !this.convexClient) return;
 
         try {
-            // Get balances for current tokens
-            const fromBalance = await this.getTokenBalance(this.fromToken);
-            const toBalance = await this.getTokenBalance(this.toToken);
+            // Get balances for current tokens (read together in one batched query)
+            const [fromBalance, toBalance] = await Promise.all([
+                this.getTokenBalance(this.fromToken),
+                this.getTokenBalance(this.toToken)
+            ]);
 
             // Update balance displays in your HTML with formatted numbers
             const balanceElements = document.querySelectorAll('.flex.justify-between span:last-child');
             if (balanceElements.length >= 2) {
-                balanceElements[0].textContent = `Balance: ${this.formatBalance(fromBalance)}`;
-                balanceElements[1].textContent = `Balance: ${this.formatBalance(toBalance)}`;
+                balanceElements[0].textContent = `Balance: ${this.formatBalance(fromBalance, this.fromToken)}`;
+                balanceElements[1].textContent = `Balance: ${this.formatBalance(toBalance, this.toToken)}`;
             }
 
             // Update the top navigation balance display
             const navBalanceDisplay = document.getElementById('nav-balance-display');
             if (navBalanceDisplay) {
-                navBalanceDisplay.textContent = `Balance: ${this.formatBalance(fromBalance)}`;
+                navBalanceDisplay.textContent = `Balance: ${this.formatBalance(fromBalance, this.fromToken)}`;
                 navBalanceDisplay.style.display = 'block';
             }
 
@@ -225,28 +286,52 @@ class VorteXInterface {
 
         } catch (error) {
             console.error('Failed to update balances:', error);
+            // Repeated failures update one toast rather than stacking
+            this.showNotification('Could not refresh balances', 'warning', {
+                key: 'balances',
+                actions: [{ label: 'Retry', run: () => this.updateBalances() }]
+            });
         }
     }
 
+    /**
+     * Keep the current pair's balance displays live; replaces the previous pair's reads
+     */
+    watchBalances() {
+        if (this.unwatchBalances) this.unwatchBalances();
+        this.unwatchBalances = null;
+        if (!this.isConnected || !this.convexClient.address) return;
+
+        // A change re-renders both balances; the values come from the client's read cache
+        const subscriptions = this.convexClient.getSubscriptions();
+        const stops = [this.fromToken, this.toToken].map(symbol => subscriptions.balance(
+            this.convexClient.address,
+            this.getTokenAddress(symbol),
+            () => this.updateBalances()
+        ));
+        this.unwatchBalances = () => stops.forEach(stop => stop());
+    }
+
     /**
      * Get balance for a specific token
      */
     async getTokenBalance(tokenSymbol) {
-        if (!this.convexClient) return 0;
+        if (!this.convexClient) return 0n;
         
         try {
-            const tokenAddress = this.tokens[tokenSymbol];
-            if (!tokenAddress || tokenSymbol === 'CVX' || tokenSymbol === 'CVM') {
+            const tokenAddress = this.getTokenAddress(tokenSymbol);
+            if (!tokenAddress) {
                 // Get CVX balance
                 return await this.convexClient.getBalance();
             } else {
                 // Get token balance
-                const result = await this.convexClient.query(`(call ${tokenAddress} (balance ${this.convexClient.address}))`);
-                return result.value || 0;
+                const [balance] = await this.convexClient.read([Cvm.source`(str (fun/balance
+                    ${Cvm.address(tokenAddress)} ${Cvm.address(this.convexClient.address)}))`]);
+                return Amount.toBigInt(balance);
             }
         } catch (error) {
             console.error(`Failed to get ${tokenSymbol} balance:`, error);
-            return 0;
+            return 0n;
         }
     }
 
@@ -254,30 +339,59 @@ class VorteXInterface {
      * Handle amount input changes and calculate output
      */
     async onFromAmountChange(amount) {
-        if (!this.isConnected || !amount || isNaN(amount) || amount <= 0) {
+        let amountIn = 0n;
+        try {
+            amountIn = Amount.parseUnits(amount, this.getTokenDecimals(this.fromToken), this.fromToken);
+        } catch (error) {
+            amountIn = 0n;
+        }
+
+        if (!this.isConnected || amountIn <= 0n) {
             // Clear output if invalid input
-            const toInput = document.querySelectorAll('.token-input input[type="number"]')[1];
+            const toInput = document.querySelectorAll('.token-input input')[1];
             if (toInput) toInput.value = '';
             return;
         }
 
+        const requestId = ++this.quoteRequestId;
+
         try {
-            this.fromAmount = parseFloat(amount);
+            this.fromAmount = amountIn;
             
-            // Get estimated output amount (simplified calculation for now)
-            const estimatedOutput = this.fromAmount * 0.97; // Simulate 3% slippage
+            // Route over the live Torus reserves (null address = CVX)
+            const quote = await this.router.quote(
+                this.getTokenAddress(this.fromToken),
+                this.getTokenAddress(this.toToken),
+                amountIn
+            );
+            if (requestId !== this.quoteRequestId) return;
             
             // Update the "You receive" input
-            const toInput = document.querySelectorAll('.token-input input[type="number"]')[1];
+            const toInput = document.querySelectorAll('.token-input input')[1];
             if (toInput) {
-                toInput.value = estimatedOutput.toFixed(4);
-                this.toAmount = estimatedOutput;
+                toInput.value = Amount.formatUnits(quote.amountOut, this.getTokenDecimals(this.toToken));
+                this.toAmount = quote.amountOut;
             }
         } catch (error) {
+            if (requestId !== this.quoteRequestId) return;
             console.error('Failed to calculate output amount:', error);
+            const toInput = document.querySelectorAll('.token-input input')[1];
+            if (toInput) toInput.value = '';
         }
     }
 
+    /**
+     * Resolve a token symbol to its address (null for native CVX)
+     */
+    getTokenAddress(tokenSymbol) {
+        if (tokenSymbol === 'CVX' || tokenSymbol === 'CVM') return null;
+        const token = this.tokenRegistry.list().find(entry => entry.symbol === tokenSymbol);
+        if (!token) {
+            throw new Error(`${tokenSymbol} is not in the token registry`);
+        }
+        return token.address;
+    }
+
     /**
      * Swap the from/to token positions (when arrow button clicked)
      */
@@ -289,15 +403,13 @@ class VorteXInterface {
         this.updateTokenDisplays();
         
         // Clear input amounts
-        const inputs = document.querySelectorAll('.token-input input[type="number"]');
+        const inputs = document.querySelectorAll('.token-input input');
         inputs.forEach(input => input.value = '');
-        this.fromAmount = 0;
-        this.toAmount = 0;
+        this.fromAmount = 0n;
+        this.toAmount = 0n;
         
-        // Update balances
-        if (this.isConnected) {
-            this.updateBalances();
-        }
+        // Follow the new pair's balances
+        this.watchBalances();
     }
 
     /**
@@ -320,109 +432,74 @@ class VorteXInterface {
             return;
         }
 
-        if (this.isSwapping) return;
+        if (this.loading.isBusy('swap')) return;
 
+        const swapButton = document.querySelector('main button.w-full');
+        this.loading.start('swap', { element: swapButton, label: 'Executing swap...' });
         try {
-            this.isSwapping = true;
-            this.showLoading('Executing swap...');
-
-            const fromInput = document.querySelector('.token-input input[type="number"]');
-            const amount = parseFloat(fromInput.value);
+            const fromInput = document.querySelector('.token-input input');
+            const amountIn = Amount.parseUnits(fromInput.value, this.getTokenDecimals(this.fromToken), this.fromToken);
 
-            if (!amount || amount <= 0) {
+            if (amountIn <= 0n) {
                 throw new Error('Please enter a valid amount');
             }
 
-            // Execute the appropriate Torus function
-            let result;
-            if ((this.fromToken === 'CVX' || this.fromToken === 'CVM') && this.toToken !== 'CVX' && this.toToken !== 'CVM') {
-                // Buying tokens with CVX
-                const tokenAddress = this.tokens[this.toToken];
-                result = await this.convexClient.buyTokens(tokenAddress, amount);
-            } else if (this.fromToken !== 'CVX' && this.fromToken !== 'CVM' && (this.toToken === 'CVX' || this.toToken === 'CVM')) {
-                // Selling tokens for CVX
-                const tokenAddress = this.tokens[this.fromToken];
-                result = await this.convexClient.sellTokens(tokenAddress, amount);
-            } else {
-                throw new Error('Token-to-token swaps not implemented yet. Please swap through CVX.');
-            }
+            // Route, then execute every hop in one transaction with a minimum output bound
+            const quote = await this.swap.quote(
+                this.getTokenAddress(this.fromToken),
+                this.getTokenAddress(this.toToken),
+                { amountIn }
+            );
+            await this.swap.execute(quote);
 
-            this.hideLoading();
             this.showNotification('Swap completed successfully!', 'success');
             
             // Clear inputs and update balances
-            const inputs = document.querySelectorAll('.token-input input[type="number"]');
+            const inputs = document.querySelectorAll('.token-input input');
             inputs.forEach(input => input.value = '');
-            this.fromAmount = 0;
-            this.toAmount = 0;
-            this.updateBalances();
+            this.fromAmount = 0n;
+            this.toAmount = 0n;
+            // The client re-reads live balances after every transaction
 
         } catch (error) {
             console.error('Swap failed:', error);
-            this.hideLoading();
-            this.showNotification(`Swap failed: ${error.message}`, 'error');
+            const reason = error instanceof ConvexError ? error.describe() : error.message;
+            // Only offered when nothing can have been exchanged (a lost submit may have gone through)
+            const canRetry = error instanceof ConvexError && (error.retryable || error.code === 'SLIPPAGE');
+            this.showNotification(`Swap failed: ${reason}`, error.code === 'CANCELLED' ? 'info' : 'error', {
+                actions: canRetry ? [{ label: 'Retry', run: () => this.executeSwap() }] : []
+            });
         } finally {
-            this.isSwapping = false;
+            this.loading.stop('swap');
         }
     }
 
     /**
-     * Show token selector (simplified for now)
+     * Show the searchable token picker for one side of the swap
      */
     showTokenSelector(position) {
-        const availableTokens = Object.keys(this.tokens);
-        const currentToken = position === 'from' ? this.fromToken : this.toToken;
-        
-        // Simple prompt for now - you can build a fancy modal later
-        const tokenList = availableTokens.filter(token => token !== currentToken).join(', ');
-        const selectedToken = prompt(`Select ${position} token (${tokenList}):`);
+        const otherToken = position === 'from' ? this.toToken : this.fromToken;
         
-        if (selectedToken && availableTokens.includes(selectedToken.toUpperCase())) {
-            if (position === 'from') {
-                this.fromToken = selectedToken.toUpperCase();
+        this.tokenPicker.open((token) => {
+            if (token.symbol === otherToken) {
+                // Picking the other side's token flips the pair
+                [this.fromToken, this.toToken] = [this.toToken, this.fromToken];
+            } else if (position === 'from') {
+                this.fromToken = token.symbol;
             } else {
-                this.toToken = selectedToken.toUpperCase();
+                this.toToken = token.symbol;
             }
             this.updateTokenDisplays();
-            if (this.isConnected) {
-                this.updateBalances();
-            }
-        }
-    }
-
-    /**
-     * Show loading state
-     */
-    showLoading(message) {
-        const buttons = document.querySelectorAll('button');
-        buttons.forEach(button => {
-            if (button.textContent.includes('Swap') || button.textContent.includes('Connect')) {
-                button.innerHTML = `
-                    <div class="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                    ${message}
-                `;
-                button.disabled = true;
-            }
+            this.watchBalances();
         });
     }
 
     /**
-     * Hide loading state
-     */
-    hideLoading() {
-        this.updateConnectionStatus(this.isConnected);
-        const buttons = document.querySelectorAll('button');
-        buttons.forEach(button => button.disabled = false);
-    }
-
-    /**
-     * Show notification to user
+     * Show a toast (success, info, warning or error); options as NotificationCenter.notify
      */
-    showNotification(message, type = 'info') {
-        // Simple alert for now - you can build a fancy toast notification later
-        const icon = type === 'success' ? '✅' : type === 'error' ? '❌' : 'ℹ️';
-        alert(`${icon} ${message}`);
-        console.log(`${icon} ${message}`);
+    showNotification(message, type = 'info', options = {}) {
+        console.log(`${NotificationCenter.icon(type)} ${message}`);
+        return this.notifications.notify(message, { severity: type, ...options });
     }
 }
 
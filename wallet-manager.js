@@ -0,0 +1,150 @@
+/**
+ * VorteX Wallet Manager
+ * Bring-your-own-key accounts: Ed25519 seeds stay in browser memory and
+ * are only ever used to sign transaction hashes locally
+ */
+class WalletManager {
+    constructor(convexClient) {
+        this.client = convexClient;
+        this.accounts = new Map();   // name -> { name, address, publicKey, signer }
+        this.activeName = null;
+    }
+
+    /**
+     * Import an account from its seed, looking up its address by public key
+     */
+    async importAccount(name, seedHex, address = null) {
+        name = (name || '').trim();
+        if (!name) {
+            throw new Error('Account name is required');
+        }
+        if (this.accounts.has(name)) {
+            throw new Error(`An account named "${name}" already exists`);
+        }
+
+        const signer = Ed25519Signer.fromSeed(seedHex);
+
+        const candidate = address ? ConvexClient.formatAddress(address.trim()) : null;
+        const foundAddress = await this.client.findAccountByPublicKey(signer.publicKey, candidate);
+        if (!foundAddress) {
+            signer.destroy();
+            throw new Error(candidate
+                ? `Account ${candidate} is not controlled by this key`
+                : 'No Convex account found for this key');
+        }
+
+        const account = this.storeAccount(name, foundAddress, signer);
+        console.log(`🔑 Imported account "${name}" (${foundAddress})`);
+        return this.describe(account);
+    }
+
+    /**
+     * Restore an account saved in the keystore (address already verified at import)
+     */
+    restoreAccount(name, address, seedHex) {
+        if (this.accounts.has(name)) {
+            this.removeAccount(name);
+        }
+        const account = this.storeAccount(name, address, Ed25519Signer.fromSeed(seedHex));
+        return this.describe(account);
+    }
+
+    /**
+     * Add a signer to the in-memory account list
+     */
+    storeAccount(name, address, signer) {
+        const account = { name, address, publicKey: signer.publicKey, signer };
+        this.accounts.set(name, account);
+        if (!this.activeName) {
+            this.activeName = name;
+        }
+        return account;
+    }
+
+    /**
+     * Seeds of every account, for encryption by the keystore only
+     */
+    exportSeeds() {
+        return Array.from(this.accounts.values()).map(account => ({
+            name: account.name,
+            address: account.address,
+            // An Ed25519 secret key is the 32-byte seed followed by the public key
+            seed: ConvexClient.bytesToHex(account.signer.keyPair.secretKey.subarray(0, 32))
+        }));
+    }
+
+    /**
+     * Make a named account the one used for signing
+     */
+    switchAccount(name) {
+        if (!this.accounts.has(name)) {
+            throw new Error(`Unknown account "${name}"`);
+        }
+        this.activeName = name;
+        return this.describe(this.accounts.get(name));
+    }
+
+    /**
+     * Forget an account and wipe its secret key
+     */
+    removeAccount(name) {
+        const account = this.accounts.get(name);
+        if (!account) return;
+
+        account.signer.destroy();
+        this.accounts.delete(name);
+        if (this.activeName === name) {
+            const next = this.accounts.keys().next();
+            this.activeName = next.done ? null : next.value;
+        }
+    }
+
+    /**
+     * Public details of the active account (never includes key material)
+     */
+    getActiveAccount() {
+        const account = this.accounts.get(this.activeName);
+        return account ? this.describe(account) : null;
+    }
+
+    /**
+     * Public details of every imported account
+     */
+    listAccounts() {
+        return Array.from(this.accounts.values()).map(account => this.describe(account));
+    }
+
+    /**
+     * Strip key material from an account record
+     */
+    describe(account) {
+        return {
+            name: account.name,
+            address: account.address,
+            publicKey: account.publicKey,
+            active: account.name === this.activeName
+        };
+    }
+
+    /**
+     * Signer for the active account, for ConvexClient.setSigner
+     */
+    getSigner() {
+        const account = this.accounts.get(this.activeName);
+        return account ? account.signer : null;
+    }
+
+    /**
+     * Wipe all secret keys from memory
+     */
+    clear() {
+        for (const account of this.accounts.values()) {
+            account.signer.destroy();
+        }
+        this.accounts.clear();
+        this.activeName = null;
+    }
+}
+
+// Export for use
+window.WalletManager = WalletManager;